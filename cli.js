@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { Danmaku, DanmakuType } from './index.js';
+import { getParser, detectFormat, decodePayload } from './parser.js';
+import { getSerializer } from './serializer.js';
+
+const usage = `Usage: creepy-bird <input> [output] [options]
+
+Convert danmaku between formats and print stats about them. The input format
+is detected unless --from is given, the output format follows --to or the
+output file extension (.xml, .json, .ass). An output of - writes to stdout.
+Without an output only stats are printed.
+
+Options:
+  --from <format>           Input format: bilibilixml, bilibiliprotobuf, niconico, json
+  --to <format>             Output format: bilibilixml, json, ass
+  --width <px>              ASS video width (1920)
+  --height <px>             ASS video height (1080)
+  --font <family>           ASS font family
+  --font-size <px>          ASS font size of medium danmaku (38)
+  --scroll-duration <s>     ASS seconds for scrolling danmaku to cross (8)
+  --fixed-duration <s>      ASS seconds top and bottom danmaku stay (5)
+  --opacity <0-1>           ASS text opacity (1)
+  -q, --quiet               Don't print stats
+  -h, --help                Show this help`;
+
+// Output format by file extension
+const ExtensionFormats = {
+  '.xml': 'bilibilixml',
+  '.json': 'json',
+  '.ass': 'ass',
+};
+
+// ASS serializer options by command-line flag
+const ASSOptions = {
+  '--width': ['width', Number],
+  '--height': ['height', Number],
+  '--font': ['fontFamily', String],
+  '--font-size': ['fontSize', Number],
+  '--scroll-duration': ['scrollDuration', Number],
+  '--fixed-duration': ['fixedDuration', Number],
+  '--opacity': ['opacity', Number],
+};
+
+function parseArgs(argv) {
+  const args = { files: [], from: 'auto', to: null, quiet: false, help: false, assOptions: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return argv[++i];
+    };
+
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg === '-q' || arg === '--quiet') {
+      args.quiet = true;
+    } else if (arg === '--from') {
+      args.from = value();
+    } else if (arg === '--to') {
+      args.to = value();
+    } else if (arg in ASSOptions) {
+      const [name, convert] = ASSOptions[arg];
+      const converted = convert(value());
+      if (convert === Number && !Number.isFinite(converted)) {
+        throw new Error(`${arg} must be a number`);
+      }
+      args.assOptions[name] = converted;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      args.files.push(arg);
+    }
+  }
+  return args;
+}
+
+// Read and parse a danmaku file into Danmaku sorted by time
+function readDanmaku(path, format) {
+  const bytes = new Uint8Array(readFileSync(path));
+  let name = format.toLowerCase();
+  if (name === 'auto') {
+    name = detectFormat(bytes);
+    if (!name) {
+      throw new Error(`Unable to detect the danmaku format of ${path}, use --from`);
+    }
+  }
+
+  const ParserClass = getParser(name);
+  if (!ParserClass) {
+    throw new Error(`Unknown danmaku format: ${format}`);
+  }
+  const parsedData = new ParserClass().parse(decodePayload(bytes, ParserClass));
+  if (parsedData.code !== 0) {
+    throw new Error(`Failed to parse ${name} data, code: ${parsedData.code}`);
+  }
+
+  const danmakus = parsedData.data
+    .map(item => Danmaku.from(item))
+    .sort((a, b) => a.time - b.time);
+  return { format: name, danmakus };
+}
+
+function formatStats(path, format, danmakus) {
+  const modeNames = Object.fromEntries(Object.entries(DanmakuType).map(([name, mode]) => [mode, name]));
+  const byMode = {};
+  danmakus.forEach(danmaku => {
+    const name = modeNames[danmaku.mode];
+    byMode[name] = (byMode[name] || 0) + 1;
+  });
+  const users = new Set(danmakus.map(danmaku => danmaku.userId).filter(userId => userId !== null && userId !== ''));
+  const first = danmakus.length ? danmakus[0].time : 0;
+  const last = danmakus.length ? danmakus[danmakus.length - 1].time : 0;
+
+  return [
+    `${path} (${format})`,
+    `  danmaku: ${danmakus.length}`,
+    `  users:   ${users.size}`,
+    `  span:    ${first.toFixed(2)}s - ${last.toFixed(2)}s`,
+    ...Object.entries(byMode).map(([name, count]) => `  ${(name + ':').padEnd(9)}${count}`)
+  ].join('\n');
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || args.files.length === 0 || args.files.length > 2) {
+    console.log(usage);
+    return args.help ? 0 : 1;
+  }
+
+  const [input, output] = args.files;
+  const { format, danmakus } = readDanmaku(input, args.from);
+  if (!args.quiet) {
+    console.error(formatStats(input, format, danmakus));
+  }
+
+  if (output) {
+    const outputFormat = args.to || ExtensionFormats[extname(output).toLowerCase()];
+    if (!outputFormat) {
+      throw new Error(`Unable to tell the output format of ${output}, use --to`);
+    }
+    const SerializerClass = getSerializer(outputFormat);
+    if (!SerializerClass) {
+      throw new Error(`Unknown output format: ${outputFormat}`);
+    }
+    const text = new SerializerClass().serialize(danmakus, args.assOptions);
+    if (output === '-') {
+      process.stdout.write(text);
+    } else {
+      writeFileSync(output, text);
+    }
+    if (!args.quiet) {
+      console.error(`Wrote ${danmakus.length} danmaku to ${output} (${outputFormat})`);
+    }
+  }
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+  console.error(`creepy-bird: ${e.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,188 @@
+import { EventEmitter } from './emitter.js';
+
+// Events a clock emits, named after their HTMLMediaElement counterparts
+const ClockEvents = ['play', 'pause', 'seeking', 'seeked', 'ratechange'];
+
+/**
+ * Base class for the time source danmaku follow
+ *
+ * A clock exposes `currentTime` and `duration` in seconds, `paused` and
+ * `playbackRate`, and emits the ClockEvents when they change.
+ */
+class Clock extends EventEmitter {
+  get currentTime() {
+    throw new Error('currentTime must be implemented by subclass');
+  }
+
+  get paused() {
+    throw new Error('paused must be implemented by subclass');
+  }
+
+  get playbackRate() {
+    return 1;
+  }
+
+  // Total length in seconds, NaN when unknown or unbounded
+  get duration() {
+    return NaN;
+  }
+
+  // Call `callback(mediaTime)` once on the next rendered frame, returns an
+  // id for cancelFrame()
+  requestFrame(callback) {
+    return requestAnimationFrame(() => callback(this.currentTime));
+  }
+
+  cancelFrame(id) {
+    cancelAnimationFrame(id);
+  }
+
+  // Release anything held by the clock
+  destroy() {}
+}
+
+/**
+ * Clock following an HTMLMediaElement, either <video> or <audio>
+ */
+class MediaElementClock extends Clock {
+  constructor(mediaElement) {
+    super();
+    if (!mediaElement) {
+      throw new Error('Media element is required');
+    }
+    this.mediaElement = mediaElement;
+
+    // Re-emit the element's own events
+    this._forwarders = new Map();
+    ClockEvents.forEach(event => {
+      const forward = () => this._emit(event);
+      this._forwarders.set(event, forward);
+      mediaElement.addEventListener(event, forward);
+    });
+  }
+
+  get currentTime() {
+    return this.mediaElement.currentTime;
+  }
+
+  get paused() {
+    return this.mediaElement.paused;
+  }
+
+  get playbackRate() {
+    return this.mediaElement.playbackRate || 1;
+  }
+
+  get duration() {
+    return this.mediaElement.duration;
+  }
+
+  // Follow the frames the video actually presents where supported, with
+  // their exact media time
+  requestFrame(callback) {
+    if (typeof this.mediaElement.requestVideoFrameCallback === 'function') {
+      return this.mediaElement.requestVideoFrameCallback((now, metadata) => callback(metadata.mediaTime));
+    }
+    return super.requestFrame(callback);
+  }
+
+  cancelFrame(id) {
+    if (typeof this.mediaElement.cancelVideoFrameCallback === 'function') {
+      this.mediaElement.cancelVideoFrameCallback(id);
+    } else {
+      super.cancelFrame(id);
+    }
+  }
+
+  destroy() {
+    this._forwarders.forEach((forward, event) => {
+      this.mediaElement.removeEventListener(event, forward);
+    });
+    this._forwarders.clear();
+  }
+}
+
+/**
+ * Clock driven by the caller through play(), pause(), seek() and
+ * setPlaybackRate(), advancing in real time while playing
+ */
+class ManualClock extends Clock {
+  constructor(options = {}) {
+    super();
+    this._baseTime = options.currentTime ?? 0;   // Seconds at _startTime
+    this._duration = options.duration ?? NaN;    // Total length in seconds, NaN if unbounded
+    this._rate = options.playbackRate ?? 1;      // Seconds per real second
+    this._startTime = null;                      // performance.now() when last started, null while paused
+    if (!(this._rate > 0)) {
+      throw new Error('Playback rate must be positive');
+    }
+  }
+
+  get currentTime() {
+    let time = this._baseTime;
+    if (this._startTime !== null) {
+      time += (performance.now() - this._startTime) / 1000 * this._rate;
+    }
+    return Number.isFinite(this._duration) ? Math.min(time, this._duration) : time;
+  }
+
+  get paused() {
+    return this._startTime === null;
+  }
+
+  get playbackRate() {
+    return this._rate;
+  }
+
+  get duration() {
+    return this._duration;
+  }
+
+  play() {
+    if (this._startTime === null) {
+      this._startTime = performance.now();
+      this._emit('play');
+    }
+    return this;
+  }
+
+  pause() {
+    if (this._startTime !== null) {
+      this._baseTime = this.currentTime;
+      this._startTime = null;
+      this._emit('pause');
+    }
+    return this;
+  }
+
+  // Like a media element, the new time is already current on 'seeking'
+  seek(time) {
+    this._baseTime = Math.max(time, 0);
+    if (this._startTime !== null) {
+      this._startTime = performance.now();
+    }
+    this._emit('seeking');
+    this._emit('seeked');
+    return this;
+  }
+
+  setPlaybackRate(rate) {
+    if (!(rate > 0)) {
+      throw new Error('Playback rate must be positive');
+    }
+    this._baseTime = this.currentTime;
+    if (this._startTime !== null) {
+      this._startTime = performance.now();
+    }
+    this._rate = rate;
+    this._emit('ratechange');
+    return this;
+  }
+}
+
+export {
+  ClockEvents,
+  Clock,
+  MediaElementClock,
+  ManualClock,
+};
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ManualClock } from './clock.js';
+
+// Events emitted by `clock`, each with the time it reported then
+function recordEvents(clock) {
+  const events = [];
+  ['play', 'pause', 'seeking', 'seeked', 'ratechange'].forEach(name => {
+    clock.on(name, () => events.push([name, clock.currentTime]));
+  });
+  return events;
+}
+
+describe('ManualClock', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['performance'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('advances with real time only while playing', () => {
+    const clock = new ManualClock({ currentTime: 5 });
+    const events = recordEvents(clock);
+    expect(clock.paused).toBe(true);
+    vi.advanceTimersByTime(1000);
+    expect(clock.currentTime).toBe(5);
+
+    clock.play();
+    expect(clock.paused).toBe(false);
+    vi.advanceTimersByTime(1500);
+    expect(clock.currentTime).toBe(6.5);
+
+    clock.pause();
+    vi.advanceTimersByTime(1000);
+    expect(clock.currentTime).toBe(6.5);
+    expect(events).toEqual([['play', 5], ['pause', 6.5]]);
+  });
+
+  it('ignores play() while playing and pause() while paused', () => {
+    const clock = new ManualClock();
+    const events = recordEvents(clock);
+    clock.pause().play().play();
+    expect(events).toEqual([['play', 0]]);
+  });
+
+  it('scales time by the playback rate from the moment it changes', () => {
+    const clock = new ManualClock({ playbackRate: 2 }).play();
+    vi.advanceTimersByTime(1000);
+    expect(clock.currentTime).toBe(2);
+
+    const events = recordEvents(clock);
+    clock.setPlaybackRate(0.5);
+    vi.advanceTimersByTime(1000);
+    expect(clock.currentTime).toBe(2.5);
+    expect(clock.playbackRate).toBe(0.5);
+    expect(events).toEqual([['ratechange', 2]]);
+    expect(() => clock.setPlaybackRate(0)).toThrow('Playback rate must be positive');
+    expect(() => new ManualClock({ playbackRate: -1 })).toThrow('Playback rate must be positive');
+  });
+
+  it('reports the new time from seeking on, and keeps playing from there', () => {
+    const clock = new ManualClock().play();
+    vi.advanceTimersByTime(1000);
+    const events = recordEvents(clock);
+    clock.seek(30);
+    expect(events).toEqual([['seeking', 30], ['seeked', 30]]);
+    vi.advanceTimersByTime(500);
+    expect(clock.currentTime).toBe(30.5);
+
+    clock.seek(-3);
+    expect(clock.currentTime).toBe(0);
+  });
+
+  it('stops at the duration', () => {
+    const clock = new ManualClock({ duration: 10, currentTime: 9 }).play();
+    expect(clock.duration).toBe(10);
+    vi.advanceTimersByTime(5000);
+    expect(clock.currentTime).toBe(10);
+
+    clock.pause();
+    clock.seek(20);
+    expect(clock.currentTime).toBe(10);
+    expect(new ManualClock().duration).toBeNaN();
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Minimal event emitter with on/off/once
+ */
+class EventEmitter {
+  constructor() {
+    this._listeners = new Map();  // event name -> array of listeners
+  }
+
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Event listener must be a function');
+    }
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    this._listeners.get(event).push(listener);
+    return this;
+  }
+
+  // Remove a listener, or every listener of the event if none is given
+  off(event, listener) {
+    if (!listener) {
+      this._listeners.delete(event);
+      return this;
+    }
+    const listeners = this._listeners.get(event);
+    if (listeners) {
+      const index = listeners.findIndex(l => l === listener || l._original === listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    }
+    return this;
+  }
+
+  once(event, listener) {
+    const wrapper = (detail) => {
+      this.off(event, wrapper);
+      listener.call(this, detail);
+    };
+    wrapper._original = listener;  // Allows off() with the original listener
+    return this.on(event, wrapper);
+  }
+
+  // Call the event's listeners with `detail`. A throwing listener is reported
+  // but doesn't stop the others or the caller.
+  _emit(event, detail) {
+    const listeners = this._listeners.get(event);
+    if (!listeners || listeners.length === 0) {
+      return;
+    }
+    for (const listener of [...listeners]) {
+      try {
+        listener.call(this, detail);
+      } catch (e) {
+        console.error(`Error in "${event}" listener:`, e);
+      }
+    }
+  }
+}
+
+export {
+  EventEmitter,
+};
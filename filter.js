@@ -0,0 +1,172 @@
+import { DanmakuType } from './parser.js';
+
+/**
+ * Enum for filter rule types
+ */
+const FilterType = {
+  Keyword: 'keyword',  // Text contains a keyword
+  Regex: 'regex',      // Text matches a regular expression
+  User: 'user',        // Sent by a specific userId
+  Mode: 'mode',        // All danmaku of a DanmakuType
+  Pool: 'pool',        // All danmaku of a Bilibili pool (1 subtitle, 2 special)
+};
+
+/**
+ * Viewer-side blocklist of danmaku, made of keyword, regex, user, mode and pool rules.
+ * CreepyBird asks isBlocked() when a danmaku is about to show.
+ */
+class DanmakuFilter {
+  constructor() {
+    this._rules = [];            // Normalized rules in insertion order
+    this._nextId = 1;            // Id given to the next added rule
+    this._cache = new WeakMap(); // Danmaku -> blocked, reset whenever rules change
+  }
+
+  // Add a rule `{ type, value }`, returns the stored rule with its id.
+  // Keyword rules accept `caseSensitive`, regex rules accept `flags` or a RegExp value.
+  add(rule) {
+    const normalized = this._normalize(rule);
+    normalized.id = this._nextId++;
+    this._rules.push(normalized);
+    this._cache = new WeakMap();
+    return this._describe(normalized);
+  }
+
+  // Remove a rule by id, returns whether it existed
+  remove(id) {
+    const index = this._rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this._rules.splice(index, 1);
+    this._cache = new WeakMap();
+    return true;
+  }
+
+  clear() {
+    this._rules = [];
+    this._cache = new WeakMap();
+  }
+
+  list() {
+    return this._rules.map(rule => this._describe(rule));
+  }
+
+  get size() {
+    return this._rules.length;
+  }
+
+  // Serializable form of all rules, without ids
+  toJSON() {
+    return this._rules.map(rule => {
+      const { id, ...rest } = this._describe(rule);
+      return rest;
+    });
+  }
+
+  // Add rules from a JSON string or an array, optionally replacing current rules
+  import(rules, replace = false) {
+    const list = typeof rules === 'string' ? JSON.parse(rules) : rules;
+    if (!Array.isArray(list)) {
+      throw new Error('Filter rules must be an array');
+    }
+    // Validate everything before changing anything
+    const normalized = list.map(rule => this._normalize(rule));
+    if (replace) {
+      this._rules = [];
+    }
+    normalized.forEach(rule => {
+      rule.id = this._nextId++;
+      this._rules.push(rule);
+    });
+    this._cache = new WeakMap();
+  }
+
+  isBlocked(danmaku) {
+    if (this._rules.length === 0) {
+      return false;
+    }
+    let blocked = this._cache.get(danmaku);
+    if (blocked === undefined) {
+      blocked = this._rules.some(rule => this._matches(rule, danmaku));
+      this._cache.set(danmaku, blocked);
+    }
+    return blocked;
+  }
+
+  _matches(rule, danmaku) {
+    switch (rule.type) {
+      case FilterType.Keyword:
+        return rule.caseSensitive
+          ? danmaku.text.includes(rule.value)
+          : danmaku.text.toLowerCase().includes(rule.value.toLowerCase());
+      case FilterType.Regex:
+        rule.regex.lastIndex = 0;  // Global and sticky regexes keep state between tests
+        return rule.regex.test(danmaku.text);
+      case FilterType.User:
+        return danmaku.userId !== null && danmaku.userId !== undefined && String(danmaku.userId) === rule.value;
+      case FilterType.Mode:
+        return danmaku.mode === rule.value;
+      case FilterType.Pool:
+        return danmaku.pool === rule.value;
+      default:
+        return false;
+    }
+  }
+
+  _normalize(rule) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error('Filter rule must be an object');
+    }
+
+    switch (rule.type) {
+      case FilterType.Keyword:
+        if (typeof rule.value !== 'string' || !rule.value) {
+          throw new Error('Keyword filter value must be a non-empty string');
+        }
+        return { type: rule.type, value: rule.value, caseSensitive: Boolean(rule.caseSensitive) };
+      case FilterType.Regex: {
+        const pattern = rule.value instanceof RegExp ? rule.value.source : rule.value;
+        const flags = rule.value instanceof RegExp ? rule.value.flags : (rule.flags || '');
+        if (typeof pattern !== 'string' || !pattern) {
+          throw new Error('Regex filter value must be a RegExp or a non-empty pattern string');
+        }
+        let regex;
+        try {
+          regex = new RegExp(pattern, flags);
+        } catch (e) {
+          throw new Error(`Invalid regex filter: ${e.message}`);
+        }
+        return { type: rule.type, value: pattern, flags, regex };
+      }
+      case FilterType.User:
+        if (rule.value === null || rule.value === undefined || rule.value === '') {
+          throw new Error('User filter value must be a userId');
+        }
+        return { type: rule.type, value: String(rule.value) };
+      case FilterType.Mode:
+        if (!Object.values(DanmakuType).includes(rule.value)) {
+          throw new Error('Mode filter value must be a DanmakuType');
+        }
+        return { type: rule.type, value: rule.value };
+      case FilterType.Pool:
+        if (!Number.isInteger(rule.value) || rule.value < 0) {
+          throw new Error('Pool filter value must be a non-negative integer');
+        }
+        return { type: rule.type, value: rule.value };
+      default:
+        throw new Error(`Unknown filter type: ${rule.type}`);
+    }
+  }
+
+  // Public copy of a rule, without the compiled regex
+  _describe(rule) {
+    const { regex, ...rest } = rule;
+    return { ...rest };
+  }
+}
+
+export {
+  FilterType,
+  DanmakuFilter,
+};
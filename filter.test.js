@@ -0,0 +1,138 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { DanmakuFilter } from './filter.js';
+import { Danmaku, DanmakuType, FilterType } from './index.js';
+import { useStageTimers, createStage, recordDanmakuEvents } from './test-stage.js';
+
+function danmaku(text, { mode = DanmakuType.Float, userId = 'user', pool = 0 } = {}) {
+  return new Danmaku(0.1, mode, '#ffffff', userId, text, { pool });
+}
+
+describe('DanmakuFilter', () => {
+  it('blocks text containing a keyword, ignoring case unless asked not to', () => {
+    const filter = new DanmakuFilter();
+    filter.add({ type: FilterType.Keyword, value: 'Spoiler' });
+    expect(filter.isBlocked(danmaku('no SPOILERS please'))).toBe(true);
+    expect(filter.isBlocked(danmaku('spoil'))).toBe(false);
+
+    const caseSensitive = new DanmakuFilter();
+    caseSensitive.add({ type: FilterType.Keyword, value: 'Spoiler', caseSensitive: true });
+    expect(caseSensitive.isBlocked(danmaku('Spoiler'))).toBe(true);
+    expect(caseSensitive.isBlocked(danmaku('spoiler'))).toBe(false);
+  });
+
+  it('blocks text matching a regex, given as a RegExp or a pattern with flags', () => {
+    const filter = new DanmakuFilter();
+    filter.add({ type: FilterType.Regex, value: /^2{3,}$/g });
+    filter.add({ type: FilterType.Regex, value: 'w+$', flags: 'i' });
+    // Checked twice, a global regex must not carry lastIndex over
+    expect(filter.isBlocked(danmaku('2222'))).toBe(true);
+    expect(filter.isBlocked(danmaku('2222'))).toBe(true);
+    expect(filter.isBlocked(danmaku('lolWWW'))).toBe(true);
+    expect(filter.isBlocked(danmaku('22'))).toBe(false);
+    expect(filter.list()).toEqual([
+      { id: 1, type: FilterType.Regex, value: '^2{3,}$', flags: 'g' },
+      { id: 2, type: FilterType.Regex, value: 'w+$', flags: 'i' },
+    ]);
+  });
+
+  it('blocks a user by id, numbers and strings alike', () => {
+    const filter = new DanmakuFilter();
+    filter.add({ type: FilterType.User, value: 42 });
+    expect(filter.isBlocked(danmaku('a', { userId: '42' }))).toBe(true);
+    expect(filter.isBlocked(danmaku('a', { userId: 42 }))).toBe(true);
+    expect(filter.isBlocked(danmaku('a', { userId: '420' }))).toBe(false);
+    expect(filter.isBlocked(danmaku('a', { userId: null }))).toBe(false);
+  });
+
+  it('blocks whole danmaku types and pools', () => {
+    const filter = new DanmakuFilter();
+    filter.add({ type: FilterType.Mode, value: DanmakuType.Bottom });
+    filter.add({ type: FilterType.Pool, value: 1 });
+    expect(filter.isBlocked(danmaku('a', { mode: DanmakuType.Bottom }))).toBe(true);
+    expect(filter.isBlocked(danmaku('a', { pool: 1 }))).toBe(true);
+    expect(filter.isBlocked(danmaku('a', { mode: DanmakuType.Top }))).toBe(false);
+  });
+
+  it('forgets cached results when rules change', () => {
+    const filter = new DanmakuFilter();
+    const item = danmaku('hello');
+    const rule = filter.add({ type: FilterType.Keyword, value: 'hello' });
+    expect(filter.isBlocked(item)).toBe(true);
+    filter.remove(rule.id);
+    expect(filter.isBlocked(item)).toBe(false);
+  });
+
+  it('round-trips its rules through JSON', () => {
+    const filter = new DanmakuFilter();
+    filter.add({ type: FilterType.Keyword, value: 'a' });
+    filter.add({ type: FilterType.Regex, value: 'b+', flags: 'i' });
+    const copy = new DanmakuFilter();
+    copy.import(JSON.stringify(filter));
+    expect(copy.toJSON()).toEqual(filter.toJSON());
+    expect(copy.isBlocked(danmaku('BBB'))).toBe(true);
+  });
+
+  it('rejects invalid rules without adding any of an import', () => {
+    const filter = new DanmakuFilter();
+    expect(() => filter.add({ type: FilterType.Keyword, value: '' })).toThrow('Keyword filter value');
+    expect(() => filter.add({ type: FilterType.Regex, value: '(' })).toThrow('Invalid regex filter');
+    expect(() => filter.add({ type: FilterType.Mode, value: 99 })).toThrow('Mode filter value');
+    expect(() => filter.add({ type: 'color', value: '#fff' })).toThrow('Unknown filter type');
+    expect(() => filter.import([{ type: FilterType.Keyword, value: 'a' }, { type: FilterType.User }])).toThrow();
+    expect(filter.size).toBe(0);
+  });
+});
+
+describe('CreepyBird filters', () => {
+  beforeEach(() => {
+    useStageTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  const data = [
+    [0.1, DanmakuType.Float, '#ffffff', 'u1', 'keep'],
+    [0.1, DanmakuType.Top, '#ffffff', 'u2', 'spoiler ahead'],
+    [0.1, DanmakuType.Float, '#ffffff', 'u3', 'by a blocked user'],
+    [0.2, DanmakuType.Bottom, '#ffffff', 'u1', 'bottom'],
+  ];
+
+  it('ends danmaku on screen that a new rule blocks', () => {
+    const { creepyBird, clock } = createStage();
+    const events = recordDanmakuEvents(creepyBird);
+    creepyBird.setData(data);
+    creepyBird.show();
+    clock.play();
+    vi.advanceTimersByTime(500);
+    expect(creepyBird.getStats().active).toBe(4);
+
+    creepyBird.addFilter({ type: FilterType.Keyword, value: 'spoiler' });
+    creepyBird.addFilter({ type: FilterType.User, value: 'u3' });
+    creepyBird.addFilter({ type: FilterType.Mode, value: DanmakuType.Bottom });
+    expect(events.ended.sort()).toEqual(['bottom', 'by a blocked user', 'spoiler ahead']);
+    expect(creepyBird.getStats().active).toBe(1);
+  });
+
+  it('skips blocked danmaku when they come up, keeping them on the timeline', () => {
+    const { creepyBird, clock } = createStage();
+    const events = recordDanmakuEvents(creepyBird);
+    creepyBird.addFilter({ type: FilterType.Regex, value: '^(spoiler|bottom)' });
+    creepyBird.setData(data);
+    creepyBird.show();
+    clock.play();
+    vi.advanceTimersByTime(500);
+    expect(events.shown.sort()).toEqual(['by a blocked user', 'keep']);
+
+    // Removing the rule lets them show from the next seek on
+    creepyBird.removeFilter(creepyBird.getFilters()[0].id);
+    clock.seek(0.3);
+    expect(events.shown).toContain('spoiler ahead');
+    expect(JSON.parse(creepyBird.exportDanmaku('json')).data).toHaveLength(4);
+  });
+});
@@ -1,40 +1,196 @@
-import { DanmakuType, BilibiliXMLParser } from './parser.js';
+import { DanmakuType, DanmakuFontSize, DanmakuParser, registerParser, getParser, isBuiltinParser, detectFormat, decodePayload } from './parser.js';
+import { RendererType, DanmakuItem, createRenderer } from './renderer.js';
+import { LiveSource, WebSocketSource } from './live.js';
+import { FilterType, DanmakuFilter } from './filter.js';
+import { EventEmitter } from './emitter.js';
+import { Clock, MediaElementClock, ManualClock } from './clock.js';
+import { LaneLayout } from './layout.js';
+import { DanmakuSerializer, registerSerializer, getSerializer } from './serializer.js';
+import {
+  LoadError,
+  NetworkError,
+  TimeoutError,
+  HTTPStatusError,
+  ParseError,
+  PayloadCodeError,
+  LoadAbortedError,
+  DanmakuRequest,
+  validateRequestOptions
+} from './loader.js';
 
 /**
  * Enum for CreepyBird states
  */
 const CreepyBirdState = {
-  Empty: 'empty',         // Initial state, no video attached
+  Empty: 'empty',         // Initial state, no clock attached
   Hide: 'hide',          // Danmaku is loaded but hidden
   Playing: 'playing',    // Danmaku is showing and playing
   Paused: 'paused'       // Danmaku is showing but paused
 };
 
+/**
+ * Enum for what to do with a danmaku when no lane is free
+ */
+const OverflowPolicy = {
+  Drop: 'drop',        // Discard it
+  Delay: 'delay',      // Retry until a lane frees up, for at most maxDelay seconds
+  Overlap: 'overlap'   // Show it over the least crowded lane
+};
+
+// Element currently shown fullscreen, if any
+function fullscreenElement() {
+  return document.fullscreenElement || document.webkitFullscreenElement || null;
+}
+
+// Ways to start the parse worker, tried in order: the worker file emitted
+// next to the library, then the same code inlined as a Blob URL for pages
+// where that file can't be loaded, e.g. served from another origin or
+// blocked by the CSP
+const parseWorkerFactories = [
+  () => new Worker(new URL('./parse-worker.js', import.meta.url), { type: 'module' }),
+  () => import('./parse-worker.js?worker&inline').then(module => new module.default()),
+];
+
+// Worker parsing for every instance: a promise of it, started on first use,
+// resolving to null once every factory failed
+let parseWorker = null;
+let nextParseWorkerFactory = 0;
+const parseRequests = new Map();  // Request id -> { message, resolve }
+let nextParseRequestId = 1;
+
+// Parse `bytes` in the built-in format `name` on the parse worker. Resolves
+// to the worker's reply, see parse-worker.js, or to null if no worker can
+// run here.
+function parseInWorker(bytes, name) {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve(null);
+  }
+  if (parseWorker === null) {
+    parseWorker = startParseWorker();
+  }
+  return new Promise(resolve => {
+    const id = nextParseRequestId++;
+    // Copied rather than transferred, the main thread still needs the bytes
+    // if no worker starts
+    const request = { message: { id, bytes, format: name }, resolve };
+    parseRequests.set(id, request);
+    parseWorker.then(worker => sendParseRequest(worker, request));
+  });
+}
+
+function sendParseRequest(worker, request) {
+  if (worker) {
+    worker.postMessage(request.message);
+  } else {
+    parseRequests.delete(request.message.id);
+    request.resolve(null);
+  }
+}
+
+// Start the worker from the next factory, falling through to the following
+// ones if it throws or fails to load
+function startParseWorker() {
+  if (nextParseWorkerFactory >= parseWorkerFactories.length) {
+    console.warn('Parse worker unavailable, parsing on the main thread');
+    return Promise.resolve(null);
+  }
+  const factory = parseWorkerFactories[nextParseWorkerFactory++];
+  return Promise.resolve().then(factory).then(worker => {
+    worker.onmessage = ({ data }) => {
+      const request = parseRequests.get(data.id);
+      if (request) {
+        parseRequests.delete(data.id);
+        request.resolve(data);
+      }
+    };
+    // The script failed to load: hand what it didn't answer to the next one
+    worker.onerror = (event) => {
+      event.preventDefault();
+      worker.terminate();
+      const unanswered = [...parseRequests.values()];
+      parseWorker = startParseWorker();
+      parseWorker.then(next => unanswered.forEach(request => sendParseRequest(next, request)));
+    };
+    return worker;
+  }, () => startParseWorker());
+}
+
 // Main library entry point
-export default class CreepyBird {
-  constructor() {
+export default class CreepyBird extends EventEmitter {
+  constructor(options = {}) {
+    super();
     this.version = '1.0.0';
     this.overlayElement = null;
+    this._rendererType = RendererType.DOM;  // RendererType used on attach
+    this._container = null;  // Element the overlay is mounted into on attach, null for document.body
+    this._renderer = null;  // Rendering backend, created on attach
     this._data = null;
+    this._longestPositioned = 0;  // Longest position.duration in _data, see _trackDurations()
     this._isVisible = false;  // Add visibility state
-    this._intervalId = null;  // Add interval ID tracker
-    this._videoElement = null;  // Store video element reference
+    this._frameId = null;  // Pending Clock.requestFrame() id while the scheduler runs
+    this._lastFrameAt = null;  // performance.now() of the previous frame
+    this._frameInterval = 1 / 60;  // Media seconds between recent frames
+    this._stageElement = null;  // Element danmaku are drawn over
+    this._stageSize = { width: 0, height: 0 };  // Stage client size, measured by _updatePosition()
+    this._clock = null;  // Clock the timeline follows
+    this._ownsClock = false;  // Whether the clock was created by attachToVideo()
     this.danmakuSpeed = 100;   // Base speed in pixels per second
     this._fontSize = 24;        // font size in pixels
     this._lineSpacing = 1.2;    // line spacing multiplier
     this._lineMargin = 50;     // Default gap between danmaku in pixels
+    this._fixedDuration = 5;   // Seconds Top/Bottom danmaku stay on screen
+    this._displayArea = 1;     // Fraction of the video height, from the top, danmaku may use
+    this._safeAreaTop = 0;     // Pixels kept free at the top of the video
+    this._safeAreaBottom = 0;  // Pixels kept free at the bottom, e.g. for subtitles and controls
+    this._style = {
+      fontFamily: 'Arial, sans-serif',
+      fontWeight: 'bold',
+      opacity: 1,
+      strokeWidth: 1,          // Text outline width in pixels, 0 to disable
+      strokeColor: 'black',
+      shadowBlur: 0,           // Text shadow blur in pixels, 0 to disable
+      shadowColor: 'black'
+    };
     this._danmakuLines = [];  // Array of DanmakuLine objects
+    this._layout = new LaneLayout(0, this._lineMargin);  // Predicts scrolling danmaku collisions per line
     this._nextDanmakuIndex = null;  // Renamed from _lastDanmakuIndex
     this._activeDanmaku = new Set();  // Track active danmaku
+    this._positionedItems = new Set();  // Positioned danmaku on screen, outside any line
     this._debug = false;  // Debug flag
     this._handlers = {
       play: null,
       pause: null,
-      seeking: null
+      seeking: null,
+      seeked: null,
+      ratechange: null,
+      fullscreenchange: null,
+      visibilitychange: null
     };
     this._state = CreepyBirdState.Empty;  // Initialize state to Empty
     this._resizeObserver = null;  // Store ResizeObserver instance
     this._intersectionObserver = null;  // Store IntersectionObserver instance
+    this._sources = new Set();  // Live sources feeding push()
+    this._segments = null;  // Segmented loading state, see loadSegments()
+    this._requests = new Set();  // DanmakuRequests in flight, aborted by _cancelLoads()
+    this._requestOptions = {};  // Default DanmakuRequest options, see the 'request' option
+    this._loadId = 0;  // Bumped by _cancelLoads() so loads being parsed are dropped
+    this._restoreState = null;  // State to restore once the load in progress finishes
+    this._parseInWorker = true;  // Parse loaded files on the parse worker where possible
+    this._filter = new DanmakuFilter();  // Viewer-side blocklist
+    this._maxOnScreen = null;  // Max active danmaku, null for unlimited
+    this._density = 100;       // Percentage of danmaku to show
+    this._densityCredit = 0;   // Accumulator used to thin danmaku evenly
+    this._mergeWindow = 0;     // Seconds within which identical texts merge, 0 to disable
+    this._recentTexts = new Map();  // text -> { item, time, count } for merging
+    this._overflow = OverflowPolicy.Drop;  // What to do when no lane is free
+    this._maxDelay = 3;        // Max seconds a danmaku may wait under OverflowPolicy.Delay
+    this._pendingDanmaku = [];  // Danmaku waiting for a free lane
+    this._timeOffset = 0;      // Seconds danmaku show after their time in the media
+    this._offsetTable = [];    // { time, offset } steps added to _timeOffset from media time `time` on
+    this._appliedOffset = 0;   // Offset the stage was last built with
+    this._stats = this._emptyStats();  // Diagnostics counters
+
+    this.setOptions(options);
   }
 
   // Helper method for debug logging
@@ -44,218 +200,778 @@ export default class CreepyBird {
     }
   }
 
+  // Transition to a new state, emitting 'statechange' if it changed
+  _setState(state) {
+    const from = this._state;
+    this._state = state;
+    if (from !== state) {
+      this._log('State transitioned to', state);
+      this._emit('statechange', { from, to: state });
+    }
+  }
+
+  getState() {
+    return this._state;
+  }
+
   setDebug(enabled) {
     this._debug = enabled;
     return this;
   }
 
+  // Follow a <video> element and draw danmaku over it
   attachToVideo(videoElement) {
     this._log('Attaching to video element:', videoElement);
+    this.attachToClock(new MediaElementClock(videoElement), videoElement);
+    this._ownsClock = true;
+    return this.overlayElement;
+  }
 
-    // Detach if attaching to a different video while not in Empty state
+  // Follow any Clock, e.g. a MediaElementClock for <audio> or a ManualClock,
+  // and draw danmaku over `container`
+  attachToClock(clock, container) {
+    this._log('Attaching to clock:', clock, 'container:', container);
+    if (!clock || typeof clock.on !== 'function' || typeof clock.off !== 'function') {
+      throw new Error('Clock must emit events through on() and off()');
+    }
+    if (!container || container.nodeType !== Node.ELEMENT_NODE) {
+      throw new Error('Container must be an element');
+    }
+
+    // Detach if attaching to a different clock while not in Empty state
     if (this._state !== CreepyBirdState.Empty) {
-      this._log('Detaching from previous video before attaching to new one');
+      this._log('Detaching from previous clock before attaching to new one');
       this.detach();
     }
 
-    this._videoElement = videoElement;
+    this._clock = clock;
+    this._ownsClock = false;
+    this._stageElement = container;
     this.overlayElement = document.createElement('div');
 
-    // Get video position and size
-    const videoRect = videoElement.getBoundingClientRect();
-
-    // Set overlay position and size based on video
+    // Overlay covers the container, its position and size are set by _updatePosition()
     this.overlayElement.style.position = 'absolute';
-    this.overlayElement.style.left = `${videoRect.left}px`;
-    this.overlayElement.style.top = `${videoRect.top}px`;
-    this.overlayElement.style.width = `${videoRect.width}px`;
-    this.overlayElement.style.height = `${videoRect.height}px`;
     this.overlayElement.style.pointerEvents = 'none';
     this.overlayElement.style.zIndex = '2147483647';  // Maximum z-index
     this.overlayElement.style.overflow = 'hidden';
 
-    // Add to document body instead of video container
-    document.body.appendChild(this.overlayElement);
-
-    // Update overlay position function
-    const updatePosition = (trigger) => {
-      const videoRect = this._videoElement.getBoundingClientRect();
-      const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
-      const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-      
-      this._log('Updating overlay position:', {
-        clientLeft: videoRect.left,
-        clientTop: videoRect.top,
-        scrollLeft,
-        scrollTop,
-        pageLeft: videoRect.left + scrollLeft,
-        pageTop: videoRect.top + scrollTop,
-        width: videoRect.width,
-        height: videoRect.height,
-        trigger
-      });
-      
-      this.overlayElement.style.left = `${videoRect.left + scrollLeft}px`;
-      this.overlayElement.style.top = `${videoRect.top + scrollTop}px`;
-      this.overlayElement.style.width = `${videoRect.width}px`;
-      this.overlayElement.style.height = `${videoRect.height}px`;
+    // Add to the configured container option, or document body, rather than
+    // the stage's own parent; a fullscreen ancestor takes over while active
+    this._mountTarget().appendChild(this.overlayElement);
 
-      this.updateDanmakuLines();
-    };
+    // Set up the rendering backend inside the overlay
+    this._renderer = createRenderer(this._rendererType, this);
+    this._renderer.mount(this.overlayElement);
+    this._updatePosition('attach');
 
     // Create and store intersection observer
     this._intersectionObserver = new IntersectionObserver(
       (entries) => {
-        updatePosition('_intersectionObserver');
+        this._updatePosition('_intersectionObserver');
       },
       {
         threshold: [0, 1],
         root: null
       }
     );
-    this._intersectionObserver.observe(videoElement);
-    this._log('IntersectionObserver created and attached to video element');
+    this._intersectionObserver.observe(container);
+    this._log('IntersectionObserver created and attached to container');
 
     // Create and store resize observer
     this._resizeObserver = new ResizeObserver(() => {
-      updatePosition('_resizeObserver');
+      this._updatePosition('_resizeObserver');
     });
-    this._resizeObserver.observe(videoElement);
-    this._log('ResizeObserver created and attached to video element');
+    this._resizeObserver.observe(container);
+    this._log('ResizeObserver created and attached to container');
 
     // Store handlers for cleanup
     this._handlers = {
       play: () => {
-        this._log('Video play event detected');
+        this._log('Clock play event detected');
         this.resume();
       },
       pause: () => {
-        this._log('Video pause event detected');
+        this._log('Clock pause event detected');
         this.pause();
       },
       seeking: () => {
-        this._log('Video seek event detected, current time:', videoElement.currentTime);
-        this.seek(videoElement.currentTime);
+        this._log('Clock seek event detected, current time:', clock.currentTime);
+        this.seek(clock.currentTime);
+      },
+      seeked: () => {
+        this._log('Clock seek finished, current time:', clock.currentTime);
+        this.seek(clock.currentTime);
+      },
+      ratechange: () => {
+        this._log('Clock playback rate changed to:', clock.playbackRate);
+        this._applyPlaybackRate();
+      },
+      fullscreenchange: () => {
+        this._log('Fullscreen element changed to:', fullscreenElement());
+        this._remount();
+      },
+      visibilitychange: () => {
+        this._log('Page visibility changed, hidden:', document.hidden);
+        if (document.hidden) {
+          this._stopScheduler();
+        } else if (this._state === CreepyBirdState.Playing) {
+          this._startScheduler();
+          this.seek(clock.currentTime);  // Catch up with what played while hidden
+        }
       },
     };
 
-    // Add video playback event listeners
-    videoElement.addEventListener('play', this._handlers.play);
-    videoElement.addEventListener('pause', this._handlers.pause);
-    videoElement.addEventListener('seeking', this._handlers.seeking);
-
-    // Initialize danmaku lines
-    this.updateDanmakuLines();
+    // Add clock event listeners
+    clock.on('play', this._handlers.play);
+    clock.on('pause', this._handlers.pause);
+    clock.on('seeking', this._handlers.seeking);
+    clock.on('seeked', this._handlers.seeked);
+    clock.on('ratechange', this._handlers.ratechange);
+    document.addEventListener('fullscreenchange', this._handlers.fullscreenchange);
+    document.addEventListener('webkitfullscreenchange', this._handlers.fullscreenchange);
+    document.addEventListener('visibilitychange', this._handlers.visibilitychange);
 
     // Set state to Hide after setup
-    this._state = CreepyBirdState.Hide;
-    this._log('State transitioned to Hide');
+    this._setState(CreepyBirdState.Hide);
 
-    this._log('Video attachment complete, overlay created');
+    this._log('Clock attachment complete, overlay created');
     return this.overlayElement;
   }
 
-  load(url, format = 'json') {
+  // Element the overlay belongs in: a fullscreen ancestor of the stage while
+  // there is one, otherwise the configured container or document body.
+  // A fullscreen <video> itself can't hold the overlay, fullscreen a wrapper
+  // element around it to keep danmaku visible.
+  _mountTarget() {
+    const fullscreen = fullscreenElement();
+    if (fullscreen && fullscreen !== this._stageElement && fullscreen.contains(this._stageElement)) {
+      return fullscreen;
+    }
+    return this._container || document.body;
+  }
+
+  // Move the overlay into the current mount target if it isn't there already
+  _remount() {
+    if (!this.overlayElement) {
+      return;
+    }
+    const target = this._mountTarget();
+    if (this.overlayElement.parentNode !== target) {
+      this._log('Moving overlay into:', target);
+      target.appendChild(this.overlayElement);
+    }
+    this._updatePosition('remount');
+  }
+
+  // Place the overlay over the stage element. Coordinates are relative to the
+  // overlay's positioned ancestor, or to the page when there is none.
+  _updatePosition(trigger) {
+    // Kept for the frame loop, so spawning danmaku doesn't read layout
+    this._stageSize = {
+      width: this._stageElement.clientWidth,
+      height: this._stageElement.clientHeight
+    };
+    const videoRect = this._stageElement.getBoundingClientRect();
+    const offsetParent = this.overlayElement.offsetParent;
+    let originLeft;
+    let originTop;
+
+    if (!offsetParent || offsetParent === document.body) {
+      // Relative to the page, undo the scroll offset
+      originLeft = -(window.pageXOffset || document.documentElement.scrollLeft);
+      originTop = -(window.pageYOffset || document.documentElement.scrollTop);
+    } else {
+      // Relative to the padding box of the positioned ancestor
+      const parentRect = offsetParent.getBoundingClientRect();
+      originLeft = parentRect.left + offsetParent.clientLeft - offsetParent.scrollLeft;
+      originTop = parentRect.top + offsetParent.clientTop - offsetParent.scrollTop;
+    }
+
+    this._log('Updating overlay position:', {
+      clientLeft: videoRect.left,
+      clientTop: videoRect.top,
+      left: videoRect.left - originLeft,
+      top: videoRect.top - originTop,
+      width: videoRect.width,
+      height: videoRect.height,
+      trigger
+    });
+
+    this.overlayElement.style.left = `${videoRect.left - originLeft}px`;
+    this.overlayElement.style.top = `${videoRect.top - originTop}px`;
+    this.overlayElement.style.width = `${videoRect.width}px`;
+    this.overlayElement.style.height = `${videoRect.height}px`;
+
+    this._renderer.resize(videoRect.width, videoRect.height);
+    this.updateDanmakuLines();
+  }
+
+  // Register a DanmakuParser subclass so its name can be passed to load()
+  static registerParser(name, parserClass) {
+    registerParser(name, parserClass);
+    return CreepyBird;
+  }
+
+  // Register a DanmakuSerializer subclass so its name can be passed to exportDanmaku()
+  static registerSerializer(name, serializerClass) {
+    registerSerializer(name, serializerClass);
+    return CreepyBird;
+  }
+
+  // Load danmaku from a URL. `options` override the 'request' option for
+  // this load: timeout, retries, retryDelay, headers, credentials and an
+  // AbortSignal. Failures reject with a LoadError subclass.
+  load(url, format = 'auto', options = {}) {
+    validateRequestOptions(options);
     this._log('Loading danmaku from URL:', url, 'format:', format);
+    return this._loadPayload(url, format, onProgress => this._fetch(url, options, request => request.load(onProgress)));
+  }
+
+  // Load danmaku from an XML/JSON string already in memory
+  loadFromString(text, format = 'auto') {
+    this._log('Loading danmaku from string, format:', format);
+    return this._loadPayload('string', format, () => Promise.resolve({
+      bytes: new TextEncoder().encode(text),
+      contentType: ''
+    }));
+  }
+
+  // Load danmaku from a Blob or File, e.g. one dropped onto the page
+  loadFromBlob(blob, format = 'auto') {
+    this._log('Loading danmaku from blob:', blob, 'format:', format);
+    return this._loadPayload(blob, format, () => blob.arrayBuffer().then(buffer => ({
+      bytes: new Uint8Array(buffer),
+      contentType: blob.type
+    })));
+  }
+
+  // Replace the timeline with danmaku already in memory: Danmaku objects,
+  // [time, mode, color, userId, text] tuples or plain objects
+  setData(danmakus) {
+    if (!Array.isArray(danmakus)) {
+      throw new Error('Danmaku data must be an array');
+    }
+    this._log('Setting danmaku data, count:', danmakus.length);
+    this._emit('load:start', { source: 'data', format: null });
+    const previousState = this._beginLoad();
+    try {
+      this._finishLoad(danmakus, previousState);
+    } catch (error) {
+      this._emit('load:error', { source: 'data', error });
+      throw error;
+    }
+    this._emit('load:end', { source: 'data', count: this._data.length });
+    return this;
+  }
+
+  // Load a large file progressively: the response body is parsed as it
+  // arrives and merged into the timeline, so danmaku near the current time
+  // show before the whole file is there. Only formats whose parser has a
+  // createStream(), like 'bilibilixml', can be streamed. `options` are the
+  // same as for load(), but only attempts failing before any data arrived
+  // are retried.
+  loadStream(url, format = 'bilibilixml', options = {}) {
+    validateRequestOptions(options);
+    const ParserClass = getParser(format);
+    if (!ParserClass) {
+      throw new Error(`Unknown danmaku format: ${format}`);
+    }
+    const parser = new ParserClass().createStream();
+    if (!parser) {
+      throw new Error(`Danmaku format can't be streamed: ${format}`);
+    }
+    this._log('Streaming danmaku from URL:', url, 'format:', format);
+
+    this._emit('load:start', { source: url, format });
+    const previousState = this._beginLoad();
+    // Carry on with an empty timeline that fills up as the body arrives
+    this._finishLoad([], previousState);
+
+    const decoder = new TextDecoder('utf-8');
+    const append = (text) => {
+      const danmakus = parser.push(text).map(item => Danmaku.from(item));
+      if (danmakus.length > 0) {
+        this._mergeData(danmakus);
+      }
+    };
+
+    return this._fetch(url, options, request => request.stream((bytes, loaded, total) => {
+      append(decoder.decode(bytes, { stream: true }));
+      this._emit('load:progress', { source: url, loaded, total });
+    }))
+      .then(() => {
+        append(decoder.decode());
+        parser.end?.();
+        const data = this._data;
+        this._log(`Streamed ${data.length} danmaku messages`);
+        this._emit('load:end', { source: url, count: data.length });
+        return data;
+      }, error => {
+        this._emit('load:error', { source: url, error });
+        throw error;
+      });
+  }
+
+  // Serialize the loaded timeline as 'json', 'bilibilixml', 'ass' or a
+  // registered format. `options` go to the serializer, e.g. the resolution
+  // and font of ASS output.
+  exportDanmaku(format = 'json', options = {}) {
+    const serializerClass = getSerializer(format);
+    if (!serializerClass) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+    this._log('Exporting danmaku as:', format);
+    return new serializerClass().serialize(this._data || [], options);
+  }
+
+  // Fetch a payload with `fetchPayload(onProgress)`, parse it once it arrives
+  // and replace the timeline with it, emitting the load lifecycle events
+  _loadPayload(source, format, fetchPayload) {
+    this._emit('load:start', { source, format });
+    const previousState = this._beginLoad();
+    const loadId = this._loadId;
+    const onProgress = (loaded, total) => {
+      this._emit('load:progress', { source, loaded, total });
+    };
+    return fetchPayload(onProgress)
+      .then(payload => this._parseInBackground(payload, format, source))
+      .then(danmakus => {
+        // A newer load or detach() took over while parsing
+        if (this._loadId !== loadId) {
+          throw new LoadAbortedError(source);
+        }
+        return this._finishLoad(danmakus, previousState);
+      })
+      .then(data => {
+        this._emit('load:end', { source, count: data.length });
+        return data;
+      }, error => {
+        this._emit('load:error', { source, error });
+        throw error;
+      });
+  }
+
+  // Prepare for replacing the timeline, returns the state to restore afterwards
+  _beginLoad() {
+    // Remember current state, or the one a load cut short never restored
+    const previousState = this._restoreState ?? this._state;
+    this._restoreState = previousState;
+    this._cancelLoads();
 
-    // Remember current state
-    const previousState = this._state;
-    
     // If not in Empty or Hide state, transition to Hide first
     if (![CreepyBirdState.Empty, CreepyBirdState.Hide].includes(previousState)) {
       this._log('Transitioning to Hide state before loading');
       this.hide();
     }
 
-    return this._load(url)
-      .then(data => {
-        let parsedData;
-        
-        // Parse data based on format
-        if (format.toLowerCase() === 'bilibilixml') {
-          const parser = new BilibiliXMLParser();
-          parsedData = parser.parse(data);
-          if (parsedData.code !== 0) {
-            throw new Error('Failed to parse XML data');
-          }
-          data = parsedData.data;
-        }
-
-        // Convert raw data array into Danmaku objects and sort by time
-        this._data = data
-          .map(([time, mode, color, userId, text]) => 
-            new Danmaku(time, mode, color, userId, text)
-          )
-          .sort((a, b) => a.time - b.time);
-        
-        this._log(`Loaded ${this._data.length} danmaku messages`);
-
-        // Restore previous state if it wasn't Empty or Hide
-        if (![CreepyBirdState.Empty, CreepyBirdState.Hide].includes(previousState)) {
-          this._log('Restoring to previous state:', previousState);
-          if (previousState === CreepyBirdState.Playing) {
-            this.show();
-            this._state = CreepyBirdState.Playing;
-          } else if (previousState === CreepyBirdState.Paused) {
-            this.show().pause();
-            this._state = CreepyBirdState.Paused;
-          }
+    // Leave segmented loading mode, if active
+    this._segments = null;
+
+    return previousState;
+  }
+
+  // Replace the timeline with new danmaku and restore the previous state
+  _finishLoad(danmakus, previousState) {
+    // Convert raw data array into Danmaku objects and sort by time. Invalid
+    // items throw here, before the state to restore is let go of.
+    const data = danmakus
+      .map(item => Danmaku.from(item))
+      .sort((a, b) => a.time - b.time);
+    this._restoreState = null;
+    this._data = data;
+    this._longestPositioned = 0;
+    this._trackDurations(data);
+    
+    this._log(`Loaded ${this._data.length} danmaku messages`);
+
+    // Restore previous state if it wasn't Empty or Hide
+    if (![CreepyBirdState.Empty, CreepyBirdState.Hide].includes(previousState)) {
+      this._log('Restoring to previous state:', previousState);
+      if (previousState === CreepyBirdState.Playing) {
+        this.show();
+        this._setState(CreepyBirdState.Playing);
+      } else if (previousState === CreepyBirdState.Paused) {
+        this.show().pause();
+        this._setState(CreepyBirdState.Paused);
+      }
+    }
+
+    return this._data;
+  }
+
+  // Parse a loaded payload into an array of danmaku tuples. With format
+  // 'auto' the parser is picked from the content type or by sniffing.
+  // Parser failures reject with ParseError, non-zero codes with PayloadCodeError.
+  _parse(payload, format, source = null) {
+    const name = this._resolveFormat(payload, format, source);
+    const ParserClass = getParser(name);
+    let parsedData;
+    try {
+      parsedData = new ParserClass().parse(decodePayload(payload.bytes, ParserClass));
+    } catch (e) {
+      throw new ParseError(`Failed to parse ${name} data: ${e.message}`, source, name, e);
+    }
+    if (parsedData.code !== 0) {
+      throw new PayloadCodeError(source, name, parsedData.code);
+    }
+    return parsedData.data;
+  }
+
+  // Like _parse(), but parses and sorts on the parse worker when the format
+  // is a built-in one, so huge files don't freeze the page. Falls back to the
+  // main thread where workers can't run.
+  _parseInBackground(payload, format, source = null) {
+    const name = this._resolveFormat(payload, format, source);
+    if (!this._parseInWorker || !isBuiltinParser(name)) {
+      return Promise.resolve(this._parse(payload, name, source));
+    }
+    return parseInWorker(payload.bytes, name).then(reply => {
+      if (!reply) {
+        return this._parse(payload, name, source);
+      }
+      if (reply.error !== undefined) {
+        throw new ParseError(`Failed to parse ${name} data: ${reply.error}`, source, name);
+      }
+      if (reply.code !== undefined) {
+        throw new PayloadCodeError(source, name, reply.code);
+      }
+      return reply.data;
+    });
+  }
+
+  // Registered format name for a payload, detected if `format` is 'auto'
+  _resolveFormat(payload, format, source = null) {
+    let name = format.toLowerCase();
+    if (name === 'auto') {
+      name = detectFormat(payload.bytes, payload.contentType);
+      if (!name) {
+        throw new ParseError('Unable to detect danmaku format', source);
+      }
+      this._log('Detected danmaku format:', name);
+    }
+    if (!getParser(name)) {
+      throw new Error(`Unknown danmaku format: ${format}`);
+    }
+    return name;
+  }
+
+  // Load danmaku one time window at a time as playback progresses. `source`
+  // is either a URL template containing `{index}` or a function
+  // `(segmentIndex) => url`. Segment indices start at 1, like Bilibili's
+  // `segment_index`, and each covers `options.segmentDuration` seconds.
+  // Resolves once the segment at the current playback time is loaded.
+  // `options` also take the request options of load().
+  loadSegments(source, format = 'bilibiliprotobuf', options = {}) {
+    this._log('Loading danmaku segments from:', source, 'format:', format);
+    validateRequestOptions(options);
+
+    const duration = options.segmentDuration ?? 360;
+    if (!(duration > 0)) {
+      throw new Error('Segment duration must be positive');
+    }
+    const prefetch = options.prefetch ?? 1;
+    if (prefetch < 0) {
+      throw new Error('Prefetch count must be non-negative');
+    }
+
+    let urlFor;
+    if (typeof source === 'function') {
+      urlFor = source;
+    } else if (typeof source === 'string' && source.includes('{index}')) {
+      urlFor = (index) => source.replace(/\{index\}/g, index);
+    } else {
+      throw new Error('Segment source must be a function or a URL template containing {index}');
+    }
+
+    this._cancelLoads();
+    this._data = [];
+    this._longestPositioned = 0;
+    this._nextDanmakuIndex = null;
+    this._segments = {
+      urlFor,
+      format,
+      options,
+      duration,
+      prefetch,
+      states: new Map(),  // segment index -> { status: 'loading' | 'loaded' | 'failed', promise }
+      inflight: 0
+    };
+
+    const current = this._updateSegments(this._currentTime());
+    const state = this._segments.states.get(current);
+    return state ? state.promise.then(() => this._data) : Promise.resolve(this._data);
+  }
+
+  // Make sure the segment at `time` is loaded first, then prefetch the
+  // following ones one at a time. Returns the current segment index.
+  _updateSegments(time) {
+    const segments = this._segments;
+    if (!segments) {
+      return null;
+    }
+
+    const current = Math.floor(Math.max(time, 0) / segments.duration) + 1;
+    const videoDuration = this._clock ? this._clock.duration : NaN;
+    const endTime = videoDuration - this._offsetAt(videoDuration);  // End of the video on the timeline
+
+    for (let index = current; index <= current + segments.prefetch; index++) {
+      // Don't request segments past the end of the video
+      if (Number.isFinite(endTime) && (index - 1) * segments.duration >= endTime) {
+        break;
+      }
+      if (segments.states.has(index)) {
+        continue;
+      }
+      // The current segment always loads right away, prefetches only when idle
+      if (index !== current && segments.inflight > 0) {
+        break;
+      }
+      this._loadSegment(index);
+    }
+
+    return current;
+  }
+
+  _loadSegment(index) {
+    const segments = this._segments;
+    const url = segments.urlFor(index);
+    this._log('Loading danmaku segment:', index, 'from:', url);
+
+    const state = { status: 'loading', promise: null };
+    segments.states.set(index, state);
+    segments.inflight++;
+
+    this._emit('load:start', { source: url, format: segments.format, segment: index });
+    const onProgress = (loaded, total) => {
+      this._emit('load:progress', { source: url, segment: index, loaded, total });
+    };
+
+    state.promise = this._fetch(url, segments.options, request => request.load(onProgress))
+      .then(payload => {
+        // Ignore results from a previous load
+        if (this._segments !== segments) {
+          return;
         }
+        const danmakus = this._parse(payload, segments.format, url).map(item => Danmaku.from(item));
+        this._mergeData(danmakus);
+        this._log(`Loaded segment ${index} with ${danmakus.length} danmaku messages`);
+        this._emit('load:end', { source: url, segment: index, count: danmakus.length });
+      });
 
-        return this._data;
+    // Track completion without leaving the rejection unhandled
+    state.promise
+      .then(() => {
+        state.status = 'loaded';
+      }, error => {
+        state.status = 'failed';
+        if (!(error instanceof LoadAbortedError)) {
+          console.warn(`Failed to load danmaku segment ${index}:`, error);
+        }
+        this._emit('load:error', { source: url, segment: index, error });
+      })
+      .then(() => {
+        segments.inflight--;
+        // Continue prefetching
+        if (this._segments === segments) {
+          this._updateSegments(this._currentTime());
+        }
       });
   }
 
-  _load(url) {
-    return new Promise((resolve, reject) => {
-      const xhr = new XMLHttpRequest();
-      xhr.open('GET', url);
-      
-      // Set response type based on URL extension
-      if (url.toLowerCase().endsWith('.xml')) {
-        xhr.responseType = 'text';  // For XML we want text
+  // Merge danmaku into the sorted timeline, keeping _nextDanmakuIndex on the
+  // same danmaku it pointed at before
+  _mergeData(danmakus) {
+    const incoming = [...danmakus].sort((a, b) => a.time - b.time);
+    const current = this._data || [];
+    const nextDanmaku = this._nextDanmakuIndex !== null ? current[this._nextDanmakuIndex] : undefined;
+    const merged = new Array(current.length + incoming.length);
+    let nextIndex = null;
+    let i = 0;
+    let j = 0;
+
+    for (let k = 0; k < merged.length; k++) {
+      if (j >= incoming.length || (i < current.length && current[i].time <= incoming[j].time)) {
+        if (current[i] === nextDanmaku) {
+          nextIndex = k;
+        }
+        merged[k] = current[i++];
       } else {
-        xhr.responseType = 'json';  // For JSON we want parsed JSON
+        merged[k] = incoming[j++];
       }
-      
-      xhr.onload = () => {
-        if (xhr.status === 200) {
-          if (xhr.responseType === 'json') {
-            // JSON response
-            const response = xhr.response;
-            if (response.code === 0) {
-              resolve(response.data);
-            } else {
-              reject(new Error(`Invalid response code: ${response.code}`));
-            }
-          } else {
-            // XML/text response
-            resolve(xhr.responseText);
-          }
-        } else {
-          reject(new Error(`HTTP error! status: ${xhr.status}`));
-        }
-      };
-      
-      xhr.onerror = () => {
-        reject(new Error('Network request failed'));
-      };
-      
-      xhr.send();
+    }
+
+    this._data = merged;
+    this._trackDurations(incoming);
+    // If the index was past the end, let loadDanmaku search again
+    this._nextDanmakuIndex = nextIndex;
+  }
+
+  // Run `read(request)` on a DanmakuRequest for `url`, with `options` over
+  // the 'request' option. The request is aborted by _cancelLoads().
+  _fetch(url, options, read) {
+    const request = new DanmakuRequest(url, { ...this._requestOptions, ...options });
+    this._requests.add(request);
+    return read(request).finally(() => {
+      this._requests.delete(request);
     });
   }
 
-  _startInterval() {
-    if (!this._intervalId) {
-      this._intervalId = setInterval(() => {
-        if (this._videoElement) {
-          this.loadDanmaku(this._videoElement.currentTime);
-          this.cleanupDanmaku();
+  // Abort every request in flight and drop loads still being parsed
+  _cancelLoads() {
+    this._loadId++;
+    this._requests.forEach(request => request.abort());
+    this._requests.clear();
+  }
+
+  // Current playback time on the danmaku timeline in seconds, i.e. the
+  // clock's media time minus the time offset, or 0 if no clock is attached
+  _currentTime() {
+    if (!this._clock) {
+      return 0;
+    }
+    const mediaTime = this._clock.currentTime;
+    return mediaTime - this._offsetAt(mediaTime);
+  }
+
+  // Time offset in effect at `mediaTime`: the base offset plus the last
+  // offset table entry at or before it
+  _offsetAt(mediaTime) {
+    let offset = this._timeOffset;
+    for (let i = this._offsetTable.length - 1; i >= 0; i--) {
+      if (this._offsetTable[i].time <= mediaTime) {
+        offset += this._offsetTable[i].offset;
+        break;
+      }
+    }
+    return offset;
+  }
+
+  // Insert live danmaku into the sorted timeline. Accepts a Danmaku, a
+  // [time, mode, color, userId, text] tuple, a plain object, or an array of
+  // those. Items without a time are stamped with the current playback time.
+  push(danmaku) {
+    const items = Array.isArray(danmaku) && !Danmaku.isTuple(danmaku) ? danmaku : [danmaku];
+    const currentTime = this._currentTime();
+
+    if (!this._data) {
+      this._data = [];
+    }
+
+    for (const item of items) {
+      const newDanmaku = Danmaku.from(item, currentTime);
+
+      // Find insertion point after any danmaku with the same time
+      let left = 0;
+      let right = this._data.length;
+      while (left < right) {
+        const mid = Math.floor((left + right) / 2);
+        if (this._data[mid].time <= newDanmaku.time) {
+          left = mid + 1;
+        } else {
+          right = mid;
         }
-      }, 100);
+      }
+      this._data.splice(left, 0, newDanmaku);
+      this._trackDurations([newDanmaku]);
+
+      // Keep the next index pointing at the right danmaku, and rewind it if
+      // the new one is due right now so it still gets shown
+      const isDue = Math.abs(newDanmaku.time - currentTime) <= 0.1;
+      if (this._nextDanmakuIndex === null) {
+        if (isDue) {
+          this._nextDanmakuIndex = left;
+        }
+      } else if (left <= this._nextDanmakuIndex) {
+        this._nextDanmakuIndex = isDue ? left : this._nextDanmakuIndex + 1;
+      }
+
+      this._log('Pushed danmaku:', newDanmaku.text, 'at time:', newDanmaku.time, 'index:', left);
+    }
+
+    return this;
+  }
+
+  // Start feeding danmaku from a LiveSource into push()
+  addSource(source) {
+    this._log('Adding live source:', source);
+    if (this._sources.has(source)) {
+      return this;
+    }
+    this._sources.add(source);
+    source.start(danmaku => this.push(danmaku));
+    return this;
+  }
+
+  // Stop and forget a LiveSource previously added with addSource()
+  removeSource(source) {
+    this._log('Removing live source:', source);
+    if (this._sources.delete(source)) {
+      source.stop();
+    }
+    return this;
+  }
+
+  // Run _tick() on every frame the clock renders. Stays stopped while the
+  // page is hidden, the visibilitychange handler starts it again.
+  _startScheduler() {
+    if (this._frameId !== null || !this._clock || document.hidden) {
+      return;
+    }
+    this._lastFrameAt = null;
+    const frame = (mediaTime) => {
+      this._frameId = this._requestFrame(frame);  // Before _tick(), which may stop the scheduler
+      this._tick(mediaTime);
+    };
+    this._frameId = this._requestFrame(frame);
+  }
+
+  // Clock.requestFrame(), or plain animation frames for clocks that only
+  // implement time, state and events
+  _requestFrame(callback) {
+    const clock = this._clock;
+    if (typeof clock.requestFrame === 'function') {
+      return clock.requestFrame(callback);
+    }
+    return requestAnimationFrame(() => callback(clock.currentTime));
+  }
+
+  _cancelFrame(id) {
+    if (typeof this._clock.cancelFrame === 'function') {
+      this._clock.cancelFrame(id);
+    } else {
+      cancelAnimationFrame(id);
+    }
+  }
+
+  _stopScheduler() {
+    if (this._frameId !== null) {
+      this._cancelFrame(this._frameId);
+      this._frameId = null;
+      this._nextDanmakuIndex = null;  // Reset next danmaku index
+      this._log('Scheduler stopped and next danmaku index reset');
     }
   }
 
+  _tick(mediaTime) {
+    // Crossing an entry of the offset table jumps the timeline, like a seek
+    const offset = this._offsetAt(mediaTime);
+    if (offset !== this._appliedOffset) {
+      this.seek(mediaTime);
+    }
+    const currentTime = mediaTime - offset;
+
+    const now = performance.now();
+    if (this._lastFrameAt !== null) {
+      // Cap it so a stalled frame doesn't make danmaku spawn early
+      this._frameInterval = Math.min((now - this._lastFrameAt) / 1000 * this._playbackRate(), 0.1);
+    }
+    this._lastFrameAt = now;
+
+    this._updateSegments(currentTime);
+    this.loadDanmaku(currentTime);
+    this.cleanupDanmaku();
+  }
+
   show() {
     this._log('Showing danmaku overlay');
 
@@ -268,172 +984,689 @@ export default class CreepyBird {
     this._isVisible = true;
     if (this.overlayElement) {
       this.overlayElement.style.display = 'block';
+      // Positions taken while hidden were relative to the page, the hidden
+      // overlay has no offsetParent
+      this._updatePosition('show');
     }
-    this._startInterval();
+    this._startScheduler();
+    this._renderer.resume();
 
     // First transition to Playing state
-    this._state = CreepyBirdState.Playing;
-    this._log('State transitioned to Playing');
+    this._setState(CreepyBirdState.Playing);
+
+    // Then check if the clock is paused and transition accordingly
+    if (this._clock && this._clock.paused) {
+      this._log('Clock is paused, transitioning to Paused state');
+      this.pause();
+    }
+
+    return this;
+  }
+
+  hide() {
+    this._log('Hiding danmaku overlay');
+
+    // Do nothing if in Empty state
+    if (this._state === CreepyBirdState.Empty) {
+      this._log('Cannot hide in Empty state');
+      return this;
+    }
+
+    this._isVisible = false;
+    if (this.overlayElement) {
+      this.overlayElement.style.display = 'none';
+    }
+
+    this._stopScheduler();
+    this._renderer.pause();
+    this._pendingDanmaku = [];
+    
+    // Set state to Hide
+    this._setState(CreepyBirdState.Hide);
+
+    return this;
+  }
+
+  // Helper method to check visibility state
+  isVisible() {
+    return this._isVisible;
+  }
+
+  searchCurDanmaku(time, startIndex = 0) {
+    this._log('Searching for danmaku at time:', time, 'starting from:', startIndex);
+    if (!this._data || this._data.length === 0) {
+      return null;
+    }
+
+    let left = startIndex;
+    let right = this._data.length - 1;
+
+    while (left <= right) {
+      const mid = Math.floor((left + right) / 2);
+      const midTime = this._data[mid].time;
+
+      if (midTime === time) {
+        return mid;
+      }
+
+      if (midTime < time) {
+        left = mid + 1;
+      } else {
+        right = mid - 1;
+      }
+    }
+
+    return left < this._data.length ? left : null;
+  }
+
+  // Jump to media time `mediaTime`, rebuilding the stage for it
+  seek(mediaTime) {
+    this._appliedOffset = this._offsetAt(mediaTime);
+    const time = mediaTime - this._appliedOffset;
+
+    // Load the segment for the new position first, retrying failed ones
+    if (this._segments) {
+      this._segments.states.forEach((state, index) => {
+        if (state.status === 'failed') {
+          this._segments.states.delete(index);
+        }
+      });
+      this._updateSegments(time);
+    }
+    this._pendingDanmaku = [];  // Delayed danmaku no longer belong to this position
+    this._nextDanmakuIndex = null;
+
+    // Danmaku on screen belong to the old position, rebuild the stage
+    this._clearStage();
+    this._rebuildStage(time);
+    return this;
+  }
+
+  // Take every danmaku off the screen
+  _clearStage() {
+    this._danmakuLines.forEach((line, lineIndex) => this._clearLine(line, lineIndex));
+    this._layout.clear();
+    this._positionedItems.forEach(item => this._endItem(item, null));
+    this._positionedItems.clear();
+    this._activeDanmaku.clear();
+    this._recentTexts.clear();
+  }
+
+  // Take a shown item off the screen and emit danmaku:end. The caller has
+  // already dropped it from its line, or from the positioned items for
+  // `lineIndex` null.
+  _endItem(item, lineIndex) {
+    this._activeDanmaku.delete(item.danmaku);
+    item.remove();
+    this._emit('danmaku:end', { danmaku: item.danmaku, line: lineIndex });
+  }
+
+  // End every item of a line, leaving it empty
+  _clearLine(line, lineIndex) {
+    line.takeAll().forEach(item => this._endItem(item, lineIndex));
+  }
+
+  // Note the longest positioned danmaku among `danmakus` added to _data, so
+  // _rebuildStage() knows how far back to look without going through it all
+  _trackDurations(danmakus) {
+    danmakus.forEach(danmaku => {
+      if (danmaku.mode === DanmakuType.Positioned && danmaku.position) {
+        this._longestPositioned = Math.max(this._longestPositioned, danmaku.position.duration);
+      }
+    });
+  }
+
+  // Put back danmaku that would be in flight at `time`, at the positions they
+  // would have reached by then
+  _rebuildStage(time) {
+    if (!this._data || !this._isVisible || !this._stageElement || !this._danmakuLines.length) {
+      return;
+    }
+
+    // Positioned danmaku carry their own duration, so the longest of them
+    // may reach back further than scrolling and fixed ones
+    const lookback = Math.max(
+      this.calDanmakuDuration({ mode: DanmakuType.Float }),
+      this.calDanmakuDuration({ mode: DanmakuType.Top }),
+      this._longestPositioned
+    );
+    let index = this.searchCurDanmaku(time - lookback);
+    if (index === null) {
+      return;
+    }
+
+    // Oldest first so lanes fill the way they would have during playback
+    const entries = [];
+    for (; index < this._data.length && this._data[index].time <= time; index++) {
+      const danmaku = this._data[index];
+      const elapsed = time - danmaku.time;
+      if (elapsed >= this.calDanmakuDuration(danmaku) || this._filter.isBlocked(danmaku)) {
+        continue;
+      }
+      if (this._passesDensity()) {
+        entries.push({ danmaku, elapsed, allowOverlap: false });
+      }
+    }
+    this._showBatch(entries, time);
+
+    this._nextDanmakuIndex = index;
+    this._log('Rebuilt stage at time:', time, 'active danmaku:', this._activeDanmaku.size);
+  }
+
+  // Current playback rate, danmaku move in media time
+  _playbackRate() {
+    return this._clock ? this._clock.playbackRate || 1 : 1;
+  }
+
+  // Make scrolling danmaku follow the clock's playback rate
+  _applyPlaybackRate() {
+    const rate = this._playbackRate();
+    this._danmakuLines.forEach(line => {
+      line.scrollingItems().forEach(item => item.setRate(rate));
+    });
+    this._positionedItems.forEach(item => item.setRate(rate));
+  }
+
+  calDanmakuDuration(danmaku) {
+    this._log('Calculated duration for danmaku:', danmaku.text);
+    if (!this._stageElement) {
+      return 0;
+    }
+
+    const videoWidth = this._stageSize.width;
+    
+    if (danmaku.mode === DanmakuType.Float ||
+        danmaku.mode === DanmakuType.Reverse) {
+      // Calculate how long it takes to cross the screen
+      const duration = videoWidth / this.danmakuSpeed;
+      return duration;
+    }
+    
+    // For Bottom and Top types
+    if (danmaku.mode === DanmakuType.Bottom || 
+        danmaku.mode === DanmakuType.Top) {
+      return this._fixedDuration; // Show static danmaku for a fixed time
+    }
+
+    // Positioned danmaku carry their own duration
+    if (danmaku.mode === DanmakuType.Positioned) {
+      return danmaku.position ? danmaku.position.duration : this._fixedDuration;
+    }
+
+    return 0; // Default case
+  }
+
+  setFontSize(size) {
+    this._log('Setting font size to:', size);
+    return this.setOptions({ fontSize: size });
+  }
+
+  // Update any of the options accepted by the constructor. Everything is
+  // validated before anything changes; style changes apply to danmaku
+  // already on screen and lanes are recalculated.
+  setOptions(options = {}) {
+    this._log('Setting options:', options);
+    Object.entries(options).forEach(([name, value]) => this._validateOption(name, value));
+    // Widths measured in the old font are stale for lane layout
+    const current = this.getOptions();
+    const remeasure = ['fontSize', 'fontFamily', 'fontWeight']
+      .some(name => Object.hasOwn(options, name) && options[name] !== current[name]);
+
+    Object.entries(options).forEach(([name, value]) => {
+      switch (name) {
+        case 'renderer': this._rendererType = value; break;
+        case 'container': this._container = value; break;
+        case 'debug': this._debug = value; break;
+        case 'parseInWorker': this._parseInWorker = value; break;
+        case 'request': this._requestOptions = { ...value }; break;
+        case 'fontSize': this._fontSize = value; break;
+        case 'lineSpacing': this._lineSpacing = value; break;
+        case 'lineMargin':
+          this._lineMargin = value;
+          this._layout.margin = value;
+          break;
+        case 'scrollSpeed': this.danmakuSpeed = value; break;
+        case 'fixedDuration': this._fixedDuration = value; break;
+        case 'displayArea': this._displayArea = value; break;
+        case 'safeAreaTop': this._safeAreaTop = value; break;
+        case 'safeAreaBottom': this._safeAreaBottom = value; break;
+        default: this._style[name] = value;
+      }
+    });
+
+    // Recalculate lanes and restyle what's on screen, or lay it out again
+    // if text sizes changed
+    if (this._stageElement) {
+      this.updateDanmakuLines();
+      if (remeasure) {
+        this._clearStage();
+        this._rebuildStage(this._currentTime());
+        return this;
+      }
+      this._danmakuLines.forEach(line => {
+        line.scrollingItems().forEach(item => item.applyStyle());
+        if (line.fixedItem) {
+          line.fixedItem.applyStyle();
+        }
+      });
+      this._positionedItems.forEach(item => item.applyStyle());
+    }
+    return this;
+  }
+
+  getOptions() {
+    return {
+      renderer: this._rendererType,
+      container: this._container,
+      debug: this._debug,
+      parseInWorker: this._parseInWorker,
+      request: { ...this._requestOptions },
+      fontSize: this._fontSize,
+      lineSpacing: this._lineSpacing,
+      lineMargin: this._lineMargin,
+      scrollSpeed: this.danmakuSpeed,
+      fixedDuration: this._fixedDuration,
+      displayArea: this._displayArea,
+      safeAreaTop: this._safeAreaTop,
+      safeAreaBottom: this._safeAreaBottom,
+      ...this._style
+    };
+  }
+
+  _validateOption(name, value) {
+    const isNumber = typeof value === 'number' && Number.isFinite(value);
+    switch (name) {
+      case 'renderer':
+        if (!Object.values(RendererType).includes(value)) {
+          throw new Error(`Unknown renderer type: ${value}`);
+        }
+        if (this._state !== CreepyBirdState.Empty && value !== this._rendererType) {
+          throw new Error('Renderer can only be changed while not attached');
+        }
+        break;
+      case 'container':
+        if (value !== null && !(value && value.nodeType === Node.ELEMENT_NODE)) {
+          throw new Error('Container must be an element or null');
+        }
+        if (this._state !== CreepyBirdState.Empty && value !== this._container) {
+          throw new Error('Container can only be changed while not attached');
+        }
+        break;
+      case 'debug':
+        if (typeof value !== 'boolean') {
+          throw new Error('Debug must be a boolean');
+        }
+        break;
+      case 'parseInWorker':
+        if (typeof value !== 'boolean') {
+          throw new Error('parseInWorker must be a boolean');
+        }
+        break;
+      case 'request':
+        if (!value || typeof value !== 'object') {
+          throw new Error('Request options must be an object');
+        }
+        validateRequestOptions(value);
+        break;
+      case 'fontSize':
+        if (!isNumber || value <= 0) {
+          throw new Error('Font size must be a positive number');
+        }
+        break;
+      case 'lineSpacing':
+        if (!isNumber || value <= 0) {
+          throw new Error('Line spacing must be a positive number');
+        }
+        break;
+      case 'lineMargin':
+        if (!isNumber || value < 0) {
+          throw new Error('Line margin must be non-negative');
+        }
+        break;
+      case 'scrollSpeed':
+        if (!isNumber || value <= 0) {
+          throw new Error('Scroll speed must be a positive number of pixels per second');
+        }
+        break;
+      case 'fixedDuration':
+        if (!isNumber || value <= 0) {
+          throw new Error('Fixed danmaku duration must be a positive number of seconds');
+        }
+        break;
+      case 'displayArea':
+        if (!isNumber || value <= 0 || value > 1) {
+          throw new Error('Display area must be a fraction greater than 0 and at most 1');
+        }
+        break;
+      case 'safeAreaTop':
+      case 'safeAreaBottom':
+        if (!isNumber || value < 0) {
+          throw new Error(`${name} must be a non-negative number of pixels`);
+        }
+        break;
+      case 'fontFamily':
+      case 'strokeColor':
+      case 'shadowColor':
+        if (typeof value !== 'string' || !value.trim()) {
+          throw new Error(`${name} must be a non-empty string`);
+        }
+        break;
+      case 'fontWeight':
+        if (!['normal', 'bold', 'bolder', 'lighter'].includes(value) &&
+            !(isNumber && value >= 1 && value <= 1000)) {
+          throw new Error('Font weight must be normal, bold, bolder, lighter or a number from 1 to 1000');
+        }
+        break;
+      case 'opacity':
+        if (!isNumber || value < 0 || value > 1) {
+          throw new Error('Opacity must be between 0 and 1');
+        }
+        break;
+      case 'strokeWidth':
+      case 'shadowBlur':
+        if (!isNumber || value < 0) {
+          throw new Error(`${name} must be a non-negative number`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown option: ${name}`);
+    }
+  }
+
+  calAvailableLines() {
+    this._log('Calculated available lines');
+    if (!this._stageElement) {
+      return 0;
+    }
+
+    const regionHeight = this._displayRegion().height;
+    const lineHeight = Math.ceil(this._fontSize * this._lineSpacing);  // Add some spacing between lines
+    
+    // Calculate max lines and return as integer
+    const lines = Math.floor(regionHeight / lineHeight);
+    this._log('Calculated available lines:', lines);
+    return lines;
+  }
+
+  // Part of the video danmaku may be placed in: the top `displayArea`
+  // fraction, minus the top and bottom safe areas
+  _displayRegion() {
+    const videoHeight = this._stageSize.height;
+    const top = Math.min(this._safeAreaTop, videoHeight);
+    const bottom = Math.min(videoHeight * this._displayArea, videoHeight - this._safeAreaBottom);
+    return {
+      top,
+      height: Math.max(bottom - top, 0)
+    };
+  }
+
+  updateDanmakuLines() {
+    this._log('Updating danmaku lines');
+    const availableLines = this.calAvailableLines();
+    const currentLines = this._danmakuLines.length;
+    const videoWidth = this._stageSize.width;
+    const videoHeight = this._stageSize.height;
+
+    this._log(`Video size: ${videoWidth}x${videoHeight}`);
+    this._log(`Lines: ${currentLines} -> ${availableLines}`);
+
+    if (availableLines < currentLines) {
+      // Remove excess lines from the end
+      while (this._danmakuLines.length > availableLines) {
+        const line = this._danmakuLines.pop();
+        this._clearLine(line, this._danmakuLines.length);
+      }
+    } else {
+      // Add new lines
+      while (this._danmakuLines.length < availableLines) {
+        this._danmakuLines.push(new DanmakuLine());
+      }
+    }
+    this._layout.resize(availableLines);
+
+    // Move danmaku on screen to the new line positions, which also shift
+    // when the display region changes without changing the line count
+    this._danmakuLines.forEach((line, lineIndex) => {
+      const top = this._lineTop(lineIndex);
+      line.scrollingItems().forEach(item => item.setTop(top));
+      if (line.fixedItem) {
+        line.fixedItem.setTop(top);
+      }
+    });
 
-    // Then check if video is paused and transition accordingly
-    if (this._videoElement && this._videoElement.paused) {
-      this._log('Video is paused, transitioning to Paused state');
-      this.pause();
+    if (availableLines === currentLines) {
+      return;  // Line count unchanged
     }
 
-    return this;
+    this._emit('resize', {
+      lines: availableLines,
+      previousLines: currentLines,
+      width: videoWidth,
+      height: videoHeight
+    });
   }
 
-  _clearInterval() {
-    if (this._intervalId) {
-      clearInterval(this._intervalId);
-      this._intervalId = null;
-      this._nextDanmakuIndex = null;  // Reset next danmaku index
-      this._log('Interval cleared and next danmaku index reset');
-    }
+  // Vertical position of a line in pixels
+  _lineTop(lineIndex) {
+    const region = this._displayRegion();
+    const lineHeight = region.height / this._danmakuLines.length;
+    return Math.ceil(region.top + lineIndex * lineHeight);
   }
 
-  hide() {
-    this._log('Hiding danmaku overlay');
-
-    // Do nothing if in Empty state
-    if (this._state === CreepyBirdState.Empty) {
-      this._log('Cannot hide in Empty state');
-      return this;
-    }
+  // Add a filter rule `{ type, value }` with a FilterType, returns the rule with its id.
+  // Rules are checked as danmaku come up for display, not when they're
+  // loaded: the timeline and exportDanmaku() keep blocked danmaku, and rule
+  // changes apply to the rest of playback without reloading.
+  addFilter(rule) {
+    this._log('Adding filter rule:', rule);
+    const added = this._filter.add(rule);
+    this._applyFilters();
+    return added;
+  }
 
-    this._isVisible = false;
-    if (this.overlayElement) {
-      this.overlayElement.style.display = 'none';
+  removeFilter(id) {
+    this._log('Removing filter rule:', id);
+    if (this._filter.remove(id)) {
+      this._applyFilters();
     }
+    return this;
+  }
 
-    this._clearInterval();
-    
-    // Set state to Hide
-    this._state = CreepyBirdState.Hide;
-    this._log('State transitioned to Hide');
-
+  clearFilters() {
+    this._log('Clearing filter rules');
+    this._filter.clear();
     return this;
   }
 
-  // Helper method to check visibility state
-  isVisible() {
-    return this._isVisible;
+  getFilters() {
+    return this._filter.list();
   }
 
-  searchCurDanmaku(time, startIndex = 0) {
-    this._log('Searching for danmaku at time:', time, 'starting from:', startIndex);
-    if (!this._data || this._data.length === 0) {
-      return null;
-    }
+  exportFilters() {
+    return JSON.stringify(this._filter);
+  }
 
-    let left = startIndex;
-    let right = this._data.length - 1;
+  // Import rules from exportFilters() output, optionally replacing current rules
+  importFilters(rules, replace = false) {
+    this._log('Importing filter rules, replace:', replace);
+    this._filter.import(rules, replace);
+    this._applyFilters();
+    return this;
+  }
 
-    while (left <= right) {
-      const mid = Math.floor((left + right) / 2);
-      const midTime = this._data[mid].time;
+  // Take down active danmaku blocked by the current rules, ending them as if
+  // they had left the screen
+  _applyFilters() {
+    const keep = (item, lineIndex) => {
+      if (!this._filter.isBlocked(item.danmaku)) {
+        return true;
+      }
+      this._endItem(item, lineIndex);
+      return false;
+    };
 
-      if (midTime === time) {
-        return mid;
+    this._positionedItems.forEach(item => {
+      if (!keep(item, null)) {
+        this._positionedItems.delete(item);
       }
+    });
 
-      if (midTime < time) {
-        left = mid + 1;
-      } else {
-        right = mid - 1;
+    // The layout only knows each lane's newest items, so rebuild it from
+    // the scrolling items that are left
+    this._layout.clear();
+    this._danmakuLines.forEach((line, lineIndex) => {
+      line.queue = line.queue.filter(item => keep(item, lineIndex));
+      line.reverseQueue = line.reverseQueue.filter(item => keep(item, lineIndex));
+      [...line.queue, ...line.reverseQueue].forEach(item => {
+        this._layout.add(lineIndex, this._layoutEntry(item, 0, item.shownAt));
+      });
+
+      if (line.fixedItem && this._filter.isBlocked(line.fixedItem.danmaku)) {
+        this._endItem(line.removeFixed(), lineIndex);
       }
-    }
+    });
+  }
 
-    return left < this._data.length ? left : null;
+  // Limit how many danmaku may be on screen at once, null for unlimited
+  setMaxOnScreen(count) {
+    this._log('Setting max on screen to:', count);
+    if (count !== null && !(Number.isInteger(count) && count >= 0)) {
+      throw new Error('Max on screen must be a non-negative integer or null');
+    }
+    this._maxOnScreen = count;
+    return this;
   }
 
-  seek(time) {
-    return this._nextDanmakuIndex = null;
+  // Show only the given percentage of danmaku, spread evenly over time
+  setDensity(percent) {
+    this._log('Setting density to:', percent);
+    if (!(percent >= 0 && percent <= 100)) {
+      throw new Error('Density must be between 0 and 100');
+    }
+    this._density = percent;
+    this._densityCredit = 0;
+    return this;
   }
 
-  calDanmakuDuration(danmaku) {
-    this._log('Calculated duration for danmaku:', danmaku.text);
-    if (!this._videoElement) {
-      return 0;
+  // Merge identical texts sent within `window` seconds into one item, 0 to disable
+  setMergeDuplicates(window) {
+    this._log('Setting duplicate merge window to:', window);
+    if (!(window >= 0)) {
+      throw new Error('Merge window must be non-negative');
     }
+    this._mergeWindow = window;
+    this._recentTexts.clear();
+    return this;
+  }
 
-    const videoWidth = this._videoElement.clientWidth;
-    
-    if (danmaku.mode === DanmakuType.Float) {
-      // Calculate how long it takes to cross the screen
-      const duration = videoWidth / this.danmakuSpeed;
-      return duration;
+  // Choose an OverflowPolicy, and for Delay how many seconds a danmaku may wait
+  setOverflowPolicy(policy, maxDelay = this._maxDelay) {
+    this._log('Setting overflow policy to:', policy, 'max delay:', maxDelay);
+    if (!Object.values(OverflowPolicy).includes(policy)) {
+      throw new Error(`Unknown overflow policy: ${policy}`);
     }
-    
-    // For Bottom and Top types
-    if (danmaku.mode === DanmakuType.Bottom || 
-        danmaku.mode === DanmakuType.Top) {
-      return 5; // Show static danmaku for 5 seconds
+    if (!(maxDelay >= 0)) {
+      throw new Error('Max delay must be non-negative');
     }
-
-    return 0; // Default case
+    this._overflow = policy;
+    this._maxDelay = maxDelay;
+    if (policy !== OverflowPolicy.Delay) {
+      this._pendingDanmaku = [];
+    }
+    return this;
   }
 
-  setFontSize(size) {
-    this._log('Setting font size to:', size);
-    this._fontSize = size;
+  // Shift danmaku against the media: a danmaku at time t shows at media time
+  // t + seconds. Positive values delay danmaku, negative ones advance them.
+  setTimeOffset(seconds) {
+    this._log('Setting time offset to:', seconds);
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds)) {
+      throw new Error('Time offset must be a finite number of seconds');
+    }
+    this._timeOffset = seconds;
+    this._resync();
     return this;
   }
 
-  calAvailableLines() {
-    this._log('Calculated available lines');
-    if (!this._videoElement) {
-      return 0;
-    }
+  getTimeOffset() {
+    return this._timeOffset;
+  }
 
-    const videoHeight = this._videoElement.clientHeight;
-    const lineHeight = Math.ceil(this._fontSize * this._lineSpacing);  // Add some spacing between lines
-    
-    // Calculate max lines and return as integer
-    const lines = Math.floor(videoHeight / lineHeight);
-    this._log('Calculated available lines:', lines);
-    return lines;
+  // Move danmaku later by `delta` seconds, or earlier if negative, for
+  // fine-tuning the sync by hand
+  nudgeTimeOffset(delta) {
+    if (typeof delta !== 'number' || !Number.isFinite(delta)) {
+      throw new Error('Nudge must be a finite number of seconds');
+    }
+    return this.setTimeOffset(this._timeOffset + delta);
   }
 
-  updateDanmakuLines() {
-    this._log('Updating danmaku lines');
-    const availableLines = this.calAvailableLines();
-    const currentLines = this._danmakuLines.length;
-    const videoWidth = this._videoElement.clientWidth;
-    const videoHeight = this._videoElement.clientHeight;
+  // Piecewise offsets for recordings with cuts: `[{ time, offset }]` where
+  // `offset` seconds add to the time offset from media time `time` until the
+  // next entry. Null or an empty array removes the table.
+  setOffsetTable(entries) {
+    this._log('Setting offset table to:', entries);
+    const list = entries ?? [];
+    if (!Array.isArray(list)) {
+      throw new Error('Offset table must be an array or null');
+    }
+    // Validate everything before changing anything
+    const table = list.map(entry => {
+      if (!entry || !Number.isFinite(entry.time) || !Number.isFinite(entry.offset)) {
+        throw new Error('Offset table entries must have a finite time and offset');
+      }
+      return { time: entry.time, offset: entry.offset };
+    });
+    this._offsetTable = table.sort((a, b) => a.time - b.time);
+    this._resync();
+    return this;
+  }
 
-    this._log(`Video size: ${videoWidth}x${videoHeight}`);
-    this._log(`Lines: ${currentLines} -> ${availableLines}`);
+  getOffsetTable() {
+    return this._offsetTable.map(entry => ({ ...entry }));
+  }
 
-    if (availableLines === currentLines) {
-      return;  // No change needed
+  // Danmaku on screen were placed for the old offset, rebuild the stage the
+  // same way a seek does
+  _resync() {
+    if (this._clock) {
+      this.seek(this._clock.currentTime);
     }
+  }
 
-    if (availableLines < currentLines) {
-      // Remove excess lines from the end
-      while (this._danmakuLines.length > availableLines) {
-        const line = this._danmakuLines.pop();
-        line.clear();  // Clean up the removed line
-      }
-    } else {
-      // Add new lines
-      while (this._danmakuLines.length < availableLines) {
-        this._danmakuLines.push(new DanmakuLine());
-      }
-    }
+  // Counters of shown, dropped, delayed, merged and thinned danmaku
+  getStats() {
+    return {
+      ...this._stats,
+      active: this._activeDanmaku.size,
+      pending: this._pendingDanmaku.length
+    };
+  }
+
+  resetStats() {
+    this._stats = this._emptyStats();
+    return this;
+  }
+
+  _emptyStats() {
+    return {
+      shown: 0,    // Danmaku put on screen
+      dropped: 0,  // Danmaku discarded for lack of room
+      delayed: 0,  // Danmaku that had to wait for a lane
+      merged: 0,   // Duplicates folded into an item on screen
+      thinned: 0   // Danmaku skipped by the density setting
+    };
   }
 
   setLineMargin(margin) {
     this._log('Setting line margin to:', margin);
-    if (margin < 0) {
-      throw new Error('Line margin must be non-negative');
-    }
-    this._lineMargin = margin;
-    return this;
+    return this.setOptions({ lineMargin: margin });
   }
 
-  pickLine(danmakuItem) {
+  // Pick a line for a danmaku shown `elapsed` seconds into its display time.
+  // Scrolling danmaku get a line where they stay `_lineMargin` away from the
+  // line's previous item until it leaves the screen, see LaneLayout.
+  pickLine(danmakuItem, elapsed = 0, currentTime = this._currentTime()) {
     this._log('Picking line for danmaku:', danmakuItem.danmaku.text);
     if (!this._danmakuLines.length) {
       return null;
@@ -456,31 +1689,41 @@ export default class CreepyBird {
       return null;
     }
 
-    // Handle floating danmaku
-    const videoWidth = this._videoElement.clientWidth;
-
-    // Check each line from top to bottom
-    for (let i = 0; i < this._danmakuLines.length; i++) {
-      const line = this._danmakuLines[i];
+    // Handle scrolling danmaku (Float and Reverse types)
+    return this._layout.pick(this._layoutEntry(danmakuItem, elapsed, currentTime), currentTime);
+  }
 
-      // If line is empty, we can use it
-      if (line.queue.length === 0) {
-        return i;
-      }
+  // Describe a scrolling item to the LaneLayout
+  _layoutEntry(danmakuItem, elapsed, currentTime) {
+    return {
+      width: danmakuItem.getLength(),
+      stageWidth: this._stageSize.width,
+      duration: this.calDanmakuDuration(danmakuItem.danmaku),
+      start: currentTime - elapsed,
+      reverse: danmakuItem.danmaku.mode === DanmakuType.Reverse
+    };
+  }
 
-      // Check last danmaku in the line
-      const lastItem = line.queue[line.queue.length - 1];
-      const lastItemRect = lastItem.element.getBoundingClientRect();
-      const rightEdge = lastItemRect.right;
-      const margin = videoWidth - rightEdge;
+  // Pick the least crowded line when overlapping is allowed
+  _pickOverlapLine(danmakuItem, elapsed = 0, currentTime = this._currentTime()) {
+    if (!this._danmakuLines.length) {
+      return null;
+    }
 
-      // If there's enough margin after the last item, we can use this line
-      if (margin >= this._lineMargin) {
-        return i;
-      }
+    // Fixed danmaku take over the line whose fixed item has been up the longest
+    if (danmakuItem.danmaku.mode === DanmakuType.Bottom || 
+        danmakuItem.danmaku.mode === DanmakuType.Top) {
+      let best = 0;
+      this._danmakuLines.forEach((line, i) => {
+        if (line.fixedItem.shownAt < this._danmakuLines[best].fixedItem.shownAt) {
+          best = i;
+        }
+      });
+      return best;
     }
 
-    return null;  // No suitable line found
+    // Scrolling danmaku go to the line where they overlap the least
+    return this._layout.pickOverlap(this._layoutEntry(danmakuItem, elapsed, currentTime), currentTime);
   }
 
   loadDanmaku(currentTime) {
@@ -490,12 +1733,21 @@ export default class CreepyBird {
       return;
     }
 
+    // Give delayed danmaku the first chance at free lanes
+    const entries = this._takePending(currentTime);
+
     // Keep loading danmaku until none are available for current time
     while (true) {
       let index;
       
-      // Use nextDanmakuIndex if available, otherwise search
-      if (this._nextDanmakuIndex !== null && this._nextDanmakuIndex < this._data.length) {
+      // Use nextDanmakuIndex if available, otherwise search. Past the end
+      // there's nothing left; searching again would revisit danmaku this
+      // frame already took, as they only become active once shown below.
+      if (this._nextDanmakuIndex !== null) {
+        if (this._nextDanmakuIndex >= this._data.length) {
+          this._log('No more danmaku after the cached index');
+          break;
+        }
         this._log('Using cached next index:', this._nextDanmakuIndex);
         index = this._nextDanmakuIndex;
       } else {
@@ -518,122 +1770,299 @@ export default class CreepyBird {
 
       this._log('Processing danmaku:', danmaku.text, 'at time:', danmaku.time, 'mode:', danmaku.mode);
 
-      // Check if the danmaku is within 100ms of current time
-      const timeDiff = Math.abs(danmaku.time - currentTime);
-      if (timeDiff > 0.1) {
-        this._log('Danmaku too far from current time, diff:', timeDiff);
+      // Spawn on the frame closest to the danmaku's time: wait while it is
+      // more than half a frame ahead
+      const timeDiff = danmaku.time - currentTime;
+      if (timeDiff > this._frameInterval / 2) {
+        this._log('Danmaku not due yet, diff:', timeDiff);
         break;
       }
 
+      // A late danmaku starts where it would be by now, if it is still on screen
+      const elapsed = Math.max(-timeDiff, 0);
+      if (elapsed > 0 && elapsed >= this.calDanmakuDuration(danmaku)) {
+        this._log('Skipping danmaku that already left the screen:', danmaku.text);
+        this._nextDanmakuIndex = index + 1;
+        continue;
+      }
+
       // Update next index for next iteration
       this._nextDanmakuIndex = index + 1;
       this._log('Updated next index to:', this._nextDanmakuIndex);
 
-      const danmakuItem = new DanmakuItem(danmaku, this);
-      
-      // Find available line
-      const lineIndex = this.pickLine(danmakuItem);
-      if (lineIndex === null) {
-        this._log('No available line for danmaku:', danmaku.text);
-        danmakuItem.remove();
+      // Skip danmaku blocked by filter rules
+      if (this._filter.isBlocked(danmaku)) {
+        this._log('Skipping filtered danmaku:', danmaku.text);
         continue;
       }
-      this._log('Selected line:', lineIndex, 'for danmaku:', danmaku.text);
 
-      // Add to active set
-      this._activeDanmaku.add(danmaku);
-      this._log('Added to active set, new size:', this._activeDanmaku.size);
+      // Thin out danmaku according to the density setting
+      if (!this._passesDensity()) {
+        this._log('Skipping danmaku due to density:', danmaku.text);
+        this._stats.thinned++;
+        continue;
+      }
 
-      const line = this._danmakuLines[lineIndex];
-      const videoWidth = this._videoElement.clientWidth;
-      const lineHeight = this._videoElement.clientHeight / this._danmakuLines.length;
-      const verticalPosition = Math.ceil(lineIndex * lineHeight);
+      entries.push({ danmaku, elapsed, allowOverlap: this._overflow === OverflowPolicy.Overlap, mergeable: true });
+    }
 
-      this._log('Positioning danmaku:', {
-        lineIndex,
-        verticalPosition,
-        videoWidth,
-        lineHeight
-      });
+    // Delayed danmaku that still found no room keep waiting
+    this._showBatch(entries, currentTime).forEach(entry => {
+      if (entry.pending) {
+        this._pendingDanmaku.push(entry.danmaku);
+      } else {
+        this._handleOverflow(entry.danmaku);
+      }
+    });
+  }
 
-      // Position the element
-      danmakuItem.element.style.top = `${verticalPosition}px`;
-
-      if (danmaku.mode === DanmakuType.Float) {  // Floating danmaku
-        this._log('Setting up scrolling animation for danmaku:', danmaku.text);
-        // Set initial position
-        danmakuItem.element.style.left = `${videoWidth}px`;
-        
-        // Calculate animation duration
-        const duration = this.calDanmakuDuration(danmaku);
-        
-        // Set up animation
-        danmakuItem.element.style.transition = `left ${duration}s linear`;
-        danmakuItem.element.style.visibility = 'visible';
-        
-        // Add keyframe animation style for this specific danmaku
-        const animationName = `danmaku-${Date.now()}`;
-        const keyframes = `
-          @keyframes ${animationName} {
-            from { left: ${videoWidth}px; }
-            to { left: -${danmakuItem.getLength()}px; }
-          }
-        `;
-        const styleSheet = document.createElement('style');
-        styleSheet.textContent = keyframes;
-        document.head.appendChild(styleSheet);
-        
-        // Apply the animation
-        danmakuItem.element.style.animation = `${animationName} ${duration}s linear`;
+  _passesDensity() {
+    if (this._density >= 100) {
+      return true;
+    }
+    this._densityCredit += this._density / 100;
+    if (this._densityCredit >= 1) {
+      this._densityCredit -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  // Bump the "×N" badge of a recent identical danmaku instead of showing a new one
+  _mergeDuplicate(danmaku) {
+    if (!this._mergeWindow) {
+      return false;
+    }
+    const entry = this._recentTexts.get(danmaku.text);
+    if (!entry ||
+        danmaku.time - entry.time > this._mergeWindow ||
+        !this._activeDanmaku.has(entry.item.danmaku)) {
+      return false;
+    }
+    entry.count++;
+    entry.item.setCount(entry.count);
+    this._stats.merged++;
+    this._log('Merged duplicate danmaku:', danmaku.text, 'count:', entry.count);
+    return true;
+  }
 
-        // Add to line queue
-        line.push(danmakuItem);
-      } else {  // Fixed danmaku (Bottom or Top)
-        this._log('Setting up fixed position for danmaku:', danmaku.text);
-        // Center horizontally
-        const itemLength = danmakuItem.getLength();
-        danmakuItem.element.style.left = `${(videoWidth - itemLength) / 2}px`;
-        danmakuItem.element.style.visibility = 'visible';
+  // Danmaku found no room: drop it or queue it according to the overflow policy
+  _handleOverflow(danmaku) {
+    if (this._overflow === OverflowPolicy.Delay) {
+      this._log('Delaying danmaku:', danmaku.text);
+      this._pendingDanmaku.push(danmaku);
+      this._stats.delayed++;
+    } else {
+      this._log('Dropping danmaku:', danmaku.text);
+      this._stats.dropped++;
+      this._emit('danmaku:drop', { danmaku, reason: 'overflow' });
+    }
+  }
+
+  // Take delayed danmaku out of the queue for another try, dropping those
+  // that waited longer than maxDelay
+  _takePending(currentTime) {
+    const pending = this._pendingDanmaku;
+    this._pendingDanmaku = [];
+    return pending
+      .filter(danmaku => {
+        if (currentTime - danmaku.time > this._maxDelay) {
+          this._log('Dropping delayed danmaku:', danmaku.text);
+          this._stats.dropped++;
+          this._emit('danmaku:drop', { danmaku, reason: 'timeout' });
+          return false;
+        }
+        return !this._filter.isBlocked(danmaku);
+      })
+      .map(danmaku => ({ danmaku, elapsed: 0, allowOverlap: false, pending: true }));
+  }
+
+  // Put danmaku on screen in passes so the DOM lays out once per batch, not
+  // once per danmaku: create every item, read all their widths, then
+  // position them. Entries are `{ danmaku, elapsed, allowOverlap }`, plus
+  // `mergeable` to fold duplicates. Returns the entries that found no room.
+  _showBatch(entries, currentTime) {
+    if (entries.length === 0) {
+      return [];
+    }
+    const items = entries.map(entry => this._renderer.createItem(entry.danmaku));
+    items.forEach(item => item.getLength());  // Items keep the width they measured
+
+    return entries.filter((entry, i) => {
+      // Fold into an identical danmaku already on screen
+      if (entry.mergeable && this._mergeDuplicate(entry.danmaku)) {
+        items[i].remove();
+        return false;
+      }
+      return !this._showDanmaku(items[i], currentTime, entry.allowOverlap, entry.elapsed);
+    });
+  }
+
+  // Put a measured item on screen, `elapsed` media seconds into its display
+  // time. Returns false, removing the item, if there was no room for it.
+  _showDanmaku(danmakuItem, currentTime, allowOverlap, elapsed = 0) {
+    const danmaku = danmakuItem.danmaku;
+    if (this._maxOnScreen !== null && this._activeDanmaku.size >= this._maxOnScreen) {
+      this._log('Max on screen reached, skipping danmaku:', danmaku.text);
+      danmakuItem.remove();
+      return false;
+    }
+
+    if (danmaku.mode === DanmakuType.Positioned) {
+      return this._showPositioned(danmakuItem, currentTime, elapsed);
+    }
+
+    // Sizes were measured by _showBatch() and _updatePosition()
+    const videoWidth = this._stageSize.width;
+    const itemLength = danmakuItem.getLength();
+    const duration = this.calDanmakuDuration(danmaku);
+    
+    // Find available line
+    let lineIndex = this.pickLine(danmakuItem, elapsed, currentTime);
+    if (lineIndex === null && allowOverlap) {
+      lineIndex = this._pickOverlapLine(danmakuItem, elapsed, currentTime);
+    }
+    if (lineIndex === null) {
+      this._log('No available line for danmaku:', danmaku.text);
+      danmakuItem.remove();
+      return false;
+    }
+    this._log('Selected line:', lineIndex, 'for danmaku:', danmaku.text);
+
+    // Add to active set
+    this._activeDanmaku.add(danmaku);
+    this._log('Added to active set, new size:', this._activeDanmaku.size);
+
+    const line = this._danmakuLines[lineIndex];
+    const verticalPosition = this._lineTop(lineIndex);
+
+    this._log('Positioning danmaku:', {
+      lineIndex,
+      verticalPosition,
+      videoWidth
+    });
+
+    // Position the item
+    danmakuItem.setTop(verticalPosition);
+    danmakuItem.shownAt = currentTime - elapsed;
 
-        // Add as fixed item
-        line.setFixed(danmakuItem);
+    if (danmaku.mode === DanmakuType.Float) {  // Floating danmaku
+      this._log('Setting up scrolling animation for danmaku:', danmaku.text);
+      // Scroll from the right edge until fully off the left edge, in media time
+      danmakuItem.scroll(videoWidth, -itemLength, duration, elapsed, this._playbackRate());
+      if (this._state === CreepyBirdState.Paused) {
+        danmakuItem.pause();
       }
+
+      // Add to line queue
+      line.push(danmakuItem);
+      this._layout.add(lineIndex, this._layoutEntry(danmakuItem, elapsed, currentTime));
+    } else if (danmaku.mode === DanmakuType.Reverse) {  // Reverse danmaku
+      this._log('Setting up reverse scrolling animation for danmaku:', danmaku.text);
+      // Scroll from fully off the left edge until fully off the right edge
+      danmakuItem.scroll(-itemLength, videoWidth, duration, elapsed, this._playbackRate());
+      if (this._state === CreepyBirdState.Paused) {
+        danmakuItem.pause();
+      }
+
+      line.pushReverse(danmakuItem);
+      this._layout.add(lineIndex, this._layoutEntry(danmakuItem, elapsed, currentTime));
+    } else {  // Fixed danmaku (Bottom or Top)
+      this._log('Setting up fixed position for danmaku:', danmaku.text);
+      // Center horizontally
+      danmakuItem.place((videoWidth - itemLength) / 2);
+
+      // Add as fixed item, taking over any fixed item when overlapping
+      if (line.fixedItem) {
+        this._endItem(line.removeFixed(), lineIndex);
+      }
+      line.setFixed(danmakuItem);
+    }
+
+    this._stats.shown++;
+    this._emit('danmaku:show', { danmaku, line: lineIndex });
+    if (this._mergeWindow) {
+      this._recentTexts.set(danmaku.text, { item: danmakuItem, time: danmaku.time, count: 1 });
     }
+    return true;
+  }
+
+  // Put a positioned danmaku on screen at its coordinates, scaled to the
+  // current video size. Positioned danmaku don't take up lines.
+  _showPositioned(danmakuItem, currentTime, elapsed) {
+    const danmaku = danmakuItem.danmaku;
+    const position = danmaku.position;
+    if (!position) {
+      this._log('Positioned danmaku without position:', danmaku.text);
+      danmakuItem.remove();
+      return false;
+    }
+
+    const { width, height } = this._stageSize;
+    danmakuItem.animate({
+      ...position,
+      x: position.x * width,
+      y: position.y * height,
+      toX: position.toX * width,
+      toY: position.toY * height
+    }, elapsed, this._playbackRate());
+    if (this._state === CreepyBirdState.Paused) {
+      danmakuItem.pause();
+    }
+
+    danmakuItem.shownAt = currentTime - elapsed;
+    this._activeDanmaku.add(danmaku);
+    this._positionedItems.add(danmakuItem);
+    this._stats.shown++;
+    this._emit('danmaku:show', { danmaku, line: null });
+    return true;
   }
 
   cleanupDanmaku() {
     this._log('Starting danmaku cleanup');
-    if (!this._isVisible || !this._videoElement) {
+    if (!this._isVisible || !this._stageElement) {
       return;
     }
 
-    const currentTime = this._videoElement.currentTime;
+    const currentTime = this._currentTime();
 
-    this._danmakuLines.forEach(line => {
-      // Clean up scrolling danmaku
-      while (line.queue.length > 0) {
-        const frontItem = line.queue[0];
-        const animationState = frontItem.element.getAnimations()[0]?.playState;
-        if (animationState === 'finished' || !animationState) {
-          this._activeDanmaku.delete(frontItem.danmaku);  // Remove from active set
-          frontItem.remove();
-          line.queue.shift();
-        } else {
-          break;
+    this._danmakuLines.forEach((line, lineIndex) => {
+      // Clean up scrolling danmaku, in either direction
+      [line.queue, line.reverseQueue].forEach(queue => {
+        while (queue.length > 0) {
+          if (queue[0].isFinished()) {
+            this._endItem(queue.shift(), lineIndex);
+          } else {
+            break;
+          }
         }
-      }
+      });
 
       // Clean up fixed danmaku
       if (line.fixedItem) {
         const item = line.fixedItem;
-        const displayTime = currentTime - item.danmaku.time;
+        const displayTime = currentTime - item.shownAt;
         if (displayTime >= this.calDanmakuDuration(item.danmaku)) {
-          this._activeDanmaku.delete(item.danmaku);  // Remove from active set
-          line.removeFixed();
+          this._endItem(line.removeFixed(), lineIndex);
         }
       }
     });
 
+    // Clean up positioned danmaku
+    this._positionedItems.forEach(item => {
+      if (item.isFinished()) {
+        this._positionedItems.delete(item);
+        this._endItem(item, null);
+      }
+    });
+
+    // Forget merge candidates that left the screen
+    this._recentTexts.forEach((entry, text) => {
+      if (!this._activeDanmaku.has(entry.item.danmaku)) {
+        this._recentTexts.delete(text);
+      }
+    });
+
     this._log('Cleanup complete, active danmaku:', this._activeDanmaku.size);
   }
 
@@ -646,24 +2075,20 @@ export default class CreepyBird {
       return this;
     }
 
-    this._clearInterval();
+    this._stopScheduler();
 
     // Pause all animations in each line
     this._danmakuLines.forEach(line => {
       // Pause scrolling danmaku
-      line.queue.forEach(item => {
-        const animation = item.element.getAnimations()[0];
-        if (animation) {
-          animation.pause();
-        }
-      });
+      line.scrollingItems().forEach(item => item.pause());
 
       // No need to pause fixed danmaku as they don't animate
     });
+    this._positionedItems.forEach(item => item.pause());
+    this._renderer.pause();
 
     // Set state to Paused
-    this._state = CreepyBirdState.Paused;
-    this._log('State transitioned to Paused');
+    this._setState(CreepyBirdState.Paused);
 
     return this;
   }
@@ -677,35 +2102,36 @@ export default class CreepyBird {
       return this;
     }
 
-    this._startInterval();
+    this._startScheduler();
 
     // Resume all animations in each line
     this._danmakuLines.forEach(line => {
       // Resume scrolling danmaku
-      line.queue.forEach(item => {
-        const animation = item.element.getAnimations()[0];
-        if (animation) {
-          animation.play();
-        }
-      });
+      line.scrollingItems().forEach(item => item.play());
 
       // No need to resume fixed danmaku as they don't animate
     });
+    this._positionedItems.forEach(item => item.play());
+    this._renderer.resume();
 
     // Set state to Playing
-    this._state = CreepyBirdState.Playing;
-    this._log('State transitioned to Playing');
+    this._setState(CreepyBirdState.Playing);
 
     return this;
   }
 
   detach() {
-    this._log('Detaching from video element');
-
-    this._clearInterval();
+    this._log('Detaching from clock');
+
+    this._stopScheduler();
+    // Stop loading, including segments that would otherwise prefetch again
+    // once their aborted requests settle
+    this._cancelLoads();
+    this._segments = null;
+    this._restoreState = null;
     
-    if (!this._videoElement) {
-      this._log('No video element to detach from');
+    if (!this._clock) {
+      this._log('No clock to detach from');
       return this;
     }
 
@@ -722,16 +2148,28 @@ export default class CreepyBird {
       this._intersectionObserver = null;
     }
 
-    // Remove video event listeners
-    if (this._videoElement && this._handlers) {
-      this._videoElement.removeEventListener('play', this._handlers.play);
-      this._videoElement.removeEventListener('pause', this._handlers.pause);
-      this._videoElement.removeEventListener('seeking', this._handlers.seeking);
+    // Remove clock event listeners, and release a clock we created
+    if (this._handlers) {
+      this._clock.off('play', this._handlers.play);
+      this._clock.off('pause', this._handlers.pause);
+      this._clock.off('seeking', this._handlers.seeking);
+      this._clock.off('seeked', this._handlers.seeked);
+      this._clock.off('ratechange', this._handlers.ratechange);
+      document.removeEventListener('fullscreenchange', this._handlers.fullscreenchange);
+      document.removeEventListener('webkitfullscreenchange', this._handlers.fullscreenchange);
+      document.removeEventListener('visibilitychange', this._handlers.visibilitychange);
     }
 
     // Clear all danmaku lines
-    this._danmakuLines.forEach(line => line.clear());
+    this._clearStage();
     this._danmakuLines = [];
+    this._layout.resize(0);
+
+    // Tear down the rendering backend
+    if (this._renderer) {
+      this._renderer.unmount();
+      this._renderer = null;
+    }
 
     // Remove overlay element
     if (this.overlayElement && this.overlayElement.parentNode) {
@@ -739,20 +2177,31 @@ export default class CreepyBird {
     }
 
     // Clear references
+    if (this._ownsClock) {
+      this._clock.destroy();
+    }
     this.overlayElement = null;
-    this._videoElement = null;
+    this._stageElement = null;
+    this._clock = null;
+    this._ownsClock = false;
     this._nextDanmakuIndex = null;
     this._activeDanmaku.clear();
+    this._pendingDanmaku = [];
+    this._recentTexts.clear();
 
     // Clear handler references
     this._handlers = {
       play: null,
       pause: null,
-      seeking: null
+      seeking: null,
+      seeked: null,
+      ratechange: null,
+      fullscreenchange: null,
+      visibilitychange: null
     };
 
     // Reset state to Empty
-    this._state = CreepyBirdState.Empty;
+    this._setState(CreepyBirdState.Empty);
 
     this._log('Detach complete');
     return this;
@@ -760,71 +2209,73 @@ export default class CreepyBird {
 }
 
 class Danmaku {
-  constructor(time, mode, color, userId, text) {
+  constructor(time, mode, color, userId, text, extra = {}) {
     this.time = time;          // Time in seconds (float)
     this.mode = this._validateMode(mode);  // DanmakuType
     this.color = color;        // String (hex color)
-    this.userId = userId;      // Integer
+    this.userId = userId;      // Sender id as the source gives it, usually a string such as bilibili's uid hash
     this.text = text;          // String
+    this.fontSize = extra.fontSize ?? DanmakuFontSize.Medium;  // Bilibili font size (18/25/36)
+    this.timestamp = extra.timestamp ?? 0;  // Unix time the danmaku was sent, in seconds
+    this.pool = extra.pool ?? 0;            // Bilibili pool (0 normal, 1 subtitle, 2 special)
+    this.id = extra.id != null ? String(extra.id) : null;  // Source row ID, as a string
+    this.weight = extra.weight ?? 0;        // Bilibili weight used by its smart filter
+    this.position = extra.position ?? null; // Coordinates and motion of positioned danmaku
   }
 
-  _validateMode(mode) {
-    // Validate that mode is one of DanmakuType values
-    if (![DanmakuType.Float, DanmakuType.Bottom, DanmakuType.Top].includes(mode)) {
-      throw new Error('Invalid danmaku mode');
-    }
-    return mode;
+  // Metadata beyond the five basic fields, as stored in tuples
+  get extra() {
+    return {
+      fontSize: this.fontSize,
+      timestamp: this.timestamp,
+      pool: this.pool,
+      id: this.id,
+      weight: this.weight,
+      position: this.position
+    };
   }
-}
-
-class DanmakuItem {
-  constructor(danmaku, creepyBird) {
-    if (!danmaku) {
-      throw new Error('Danmaku object is required');
-    }
-    if (!creepyBird) {
-      throw new Error('CreepyBird instance is required');
-    }
-    if (!creepyBird.overlayElement) {
-      throw new Error('CreepyBird overlay element is not initialized');
-    }
 
-    this.danmaku = danmaku;
-    this.element = document.createElement('div');
-
-    // Initialize the element with danmaku properties
-    this.element.textContent = danmaku.text;
-    this.element.style.color = danmaku.color;
-    this.element.style.position = 'absolute';
-    this.element.style.whiteSpace = 'nowrap';
-    this.element.style.fontFamily = 'Arial, sans-serif';
-    this.element.style.fontSize = `${creepyBird._fontSize}px`;
-    this.element.style.fontWeight = 'bold';  // Add bold font weight
-    this.element.style.userSelect = 'none';
-    this.element.style.webkitTextStroke = '1px black';
-    this.element.style.visibility = 'hidden';
+  // Convert back to a [time, mode, color, userId, text, extra] tuple
+  toTuple() {
+    return [this.time, this.mode, this.color, this.userId, this.text, this.extra];
+  }
 
-    // Add the element to the overlay
-    creepyBird.overlayElement.appendChild(this.element);
+  // Check whether a value is a [time, mode, color, userId, text, extra?] tuple
+  static isTuple(value) {
+    return Array.isArray(value) && value.length > 0 && (value[0] === null || typeof value[0] !== 'object');
   }
 
-  // Get the width of the element in pixels
-  getLength() {
-    const width = this.element.offsetWidth;
-    return width;
+  // Build a Danmaku from a tuple, a plain object or another Danmaku
+  static from(value, defaultTime = 0) {
+    if (value instanceof Danmaku) {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      const [time, mode, color, userId, text, extra] = value;
+      return new Danmaku(time, mode, color, userId, text, extra || {});
+    }
+    if (value && typeof value === 'object') {
+      const time = typeof value.time === 'number' ? value.time : defaultTime;
+      const mode = value.mode ?? DanmakuType.Float;
+      const color = value.color ?? '#ffffff';
+      return new Danmaku(time, mode, color, value.userId ?? null, String(value.text ?? ''), value);
+    }
+    throw new Error('Invalid danmaku data');
   }
 
-  // Helper method to remove the element from DOM
-  remove() {
-    if (this.element.parentNode) {
-      this.element.parentNode.removeChild(this.element);
+  _validateMode(mode) {
+    // Validate that mode is one of DanmakuType values
+    if (!Object.values(DanmakuType).includes(mode)) {
+      throw new Error('Invalid danmaku mode');
     }
+    return mode;
   }
 }
 
 class DanmakuLine {
   constructor() {
     this.queue = [];           // Queue of scrolling DanmakuItem objects
+    this.reverseQueue = [];    // Queue of left-to-right scrolling DanmakuItem objects
     this.fixedItem = null;     // Optional fixed DanmakuItem (for top/bottom modes)
   }
 
@@ -836,35 +2287,32 @@ class DanmakuLine {
     this.queue.push(item);
   }
 
-  // Set fixed position danmaku
-  setFixed(item) {
+  // Add a new reverse scrolling DanmakuItem
+  pushReverse(item) {
     if (!(item instanceof DanmakuItem)) {
-      throw new Error('Only DanmakuItem objects can be set as fixed');
+      throw new Error('Only DanmakuItem objects can be added to the queue');
     }
+    this.reverseQueue.push(item);
+  }
 
-    // Remove existing fixed item if any
-    if (this.fixedItem) {
-      this.fixedItem.remove();
-    }
-    this.fixedItem = item;
+  // All scrolling items, in either direction
+  scrollingItems() {
+    return [...this.queue, ...this.reverseQueue];
   }
 
-  // Remove and return the oldest DanmakuItem from the queue
-  pop() {
-    if (this.queue.length === 0) {
-      return null;
+  // Set fixed position danmaku, any previous one must be taken off first
+  setFixed(item) {
+    if (!(item instanceof DanmakuItem)) {
+      throw new Error('Only DanmakuItem objects can be set as fixed');
     }
-    const item = this.queue.shift();
-    item.remove();  // Remove the element from DOM
-    return item;
+    this.fixedItem = item;
   }
 
-  // Remove fixed item if exists
+  // Take the fixed item off the line and return it, null if there is none
   removeFixed() {
-    if (this.fixedItem) {
-      this.fixedItem.remove();
-      this.fixedItem = null;
-    }
+    const item = this.fixedItem;
+    this.fixedItem = null;
+    return item;
   }
 
   // Check if line has a fixed danmaku
@@ -872,20 +2320,44 @@ class DanmakuLine {
     return this.fixedItem !== null;
   }
 
-  // Get the number of items in the queue (excluding fixed item)
+  // Get the number of scrolling items (excluding fixed item)
   get length() {
-    return this.queue.length;
+    return this.queue.length + this.reverseQueue.length;
   }
 
-  // Clear all items from the queue and fixed item
-  clear() {
-    while (this.queue.length > 0) {
-      this.pop();
+  // Empty the line, returning all its items
+  takeAll() {
+    const items = this.scrollingItems();
+    if (this.fixedItem) {
+      items.push(this.fixedItem);
     }
-    this.removeFixed();
+    this.queue = [];
+    this.reverseQueue = [];
+    this.fixedItem = null;
+    return items;
   }
 }
 
 export {
-  CreepyBirdState
+  CreepyBirdState,
+  OverflowPolicy,
+  DanmakuType,
+  DanmakuFontSize,
+  DanmakuParser,
+  DanmakuSerializer,
+  RendererType,
+  Danmaku,
+  FilterType,
+  LiveSource,
+  WebSocketSource,
+  Clock,
+  MediaElementClock,
+  ManualClock,
+  LoadError,
+  NetworkError,
+  TimeoutError,
+  HTTPStatusError,
+  ParseError,
+  PayloadCodeError,
+  LoadAbortedError
 };
@@ -0,0 +1,275 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { CreepyBirdState, DanmakuType, OverflowPolicy, RendererType } from './index.js';
+import { useStageTimers, createStage, recordDanmakuEvents } from './test-stage.js';
+
+const position = {
+  x: 0.5, y: 0.5, toX: 0.5, toY: 0.5, alphaFrom: 1, alphaTo: 1,
+  duration: 20, rotateZ: 0, rotateY: 0, moveDuration: 0, moveDelay: 0
+};
+
+function danmaku(time, mode, text, extra = {}) {
+  return [time, mode, '#ffffff', 'user', text, extra];
+}
+
+beforeEach(() => {
+  useStageTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+  document.body.innerHTML = '';
+});
+
+describe('danmaku:end', () => {
+  it('ends every danmaku a seek takes off the screen', () => {
+    const { creepyBird, clock } = createStage();
+    const events = recordDanmakuEvents(creepyBird);
+    creepyBird.setData([
+      danmaku(0.1, DanmakuType.Float, 'float'),
+      danmaku(0.1, DanmakuType.Top, 'top'),
+      danmaku(0.2, DanmakuType.Reverse, 'reverse'),
+      danmaku(0.2, DanmakuType.Positioned, 'positioned', { position }),
+    ]);
+    creepyBird.show();
+    clock.play();
+    vi.advanceTimersByTime(500);
+    expect(events.shown.sort()).toEqual(['float', 'positioned', 'reverse', 'top']);
+    expect(events.ended).toEqual([]);
+
+    // Back to where only the first two were on screen: all four end, the
+    // first two show again
+    clock.seek(0.15);
+    expect(new Set(events.ended)).toEqual(new Set(['float', 'positioned', 'reverse', 'top']));
+    expect(events.shown.length - events.ended.length).toBe(creepyBird.getStats().active);
+    expect(creepyBird.getStats().active).toBe(2);
+
+    clock.seek(100);
+    expect(events.ended.length).toBe(events.shown.length);
+    expect(creepyBird.getStats().active).toBe(0);
+  });
+
+  it('ends a fixed danmaku another one takes over', () => {
+    const { creepyBird, clock } = createStage({}, { height: 30 });  // A single line
+    creepyBird.setOverflowPolicy(OverflowPolicy.Overlap);
+    const events = recordDanmakuEvents(creepyBird);
+    creepyBird.setData([danmaku(0.1, DanmakuType.Top, 'first'), danmaku(0.3, DanmakuType.Top, 'second')]);
+    creepyBird.show();
+    clock.play();
+    vi.advanceTimersByTime(500);
+    expect(events.shown).toEqual(['first', 'second']);
+    expect(events.ended).toEqual(['first']);
+  });
+
+  it('ends the danmaku of lines that go away', () => {
+    const { creepyBird, clock } = createStage();
+    const events = recordDanmakuEvents(creepyBird);
+    creepyBird.setData(Array.from({ length: 12 }, (_, i) => danmaku(0.1, DanmakuType.Top, `top${i}`)));
+    creepyBird.show();
+    clock.play();
+    vi.advanceTimersByTime(200);
+    expect(events.shown.length).toBe(12);
+
+    // Half the height leaves room for 6 lines
+    creepyBird.setOptions({ displayArea: 0.5 });
+    expect(events.ended.length).toBe(6);
+    expect(creepyBird.getStats().active).toBe(6);
+  });
+
+  it('ends everything on detach()', () => {
+    const { creepyBird, clock } = createStage();
+    const events = recordDanmakuEvents(creepyBird);
+    creepyBird.setData([danmaku(0.1, DanmakuType.Float, 'a'), danmaku(0.1, DanmakuType.Bottom, 'b')]);
+    creepyBird.show();
+    clock.play();
+    vi.advanceTimersByTime(200);
+    creepyBird.detach();
+    expect(events.ended.sort()).toEqual(['a', 'b']);
+  });
+});
+
+describe('overlay position', () => {
+  it('is relative to a positioned mount target again once shown after hiding', () => {
+    const mount = document.createElement('div');
+    mount.getBoundingClientRect = () => ({ left: 100, top: 50, right: 900, bottom: 650, width: 800, height: 600 });
+    document.body.appendChild(mount);
+    // Like browsers: no offsetParent while hidden
+    vi.spyOn(HTMLElement.prototype, 'offsetParent', 'get').mockImplementation(function () {
+      return this.style.display === 'none' ? null : this.parentNode;
+    });
+
+    const { creepyBird } = createStage({ container: mount }, { left: 150, top: 80 });
+    creepyBird.setData([]);
+    creepyBird.show();
+    expect(creepyBird.overlayElement.style.left).toBe('50px');
+    expect(creepyBird.overlayElement.style.top).toBe('30px');
+
+    // Any update while hidden falls back to page coordinates
+    creepyBird.hide();
+    document.dispatchEvent(new Event('fullscreenchange'));
+    expect(creepyBird.overlayElement.style.left).toBe('150px');
+
+    creepyBird.show();
+    expect(creepyBird.overlayElement.style.left).toBe('50px');
+    expect(creepyBird.overlayElement.style.top).toBe('30px');
+  });
+});
+
+describe('setData', () => {
+  it('keeps the state to restore when the data is invalid', () => {
+    const { creepyBird, clock } = createStage();
+    creepyBird.setData([danmaku(0.1, DanmakuType.Float, 'a')]);
+    creepyBird.show();
+    clock.play();
+    const errors = [];
+    creepyBird.on('load:error', ({ error }) => errors.push(error.message));
+
+    expect(() => creepyBird.setData([[1, 99, '#ffffff', 'user', 'bad']])).toThrow('Invalid danmaku mode');
+    expect(errors).toEqual(['Invalid danmaku mode']);
+    expect(creepyBird.getState()).toBe(CreepyBirdState.Hide);
+
+    creepyBird.setData([danmaku(0.1, DanmakuType.Float, 'b')]);
+    expect(creepyBird.getState()).toBe(CreepyBirdState.Playing);
+  });
+});
+
+describe('seek', () => {
+  it('puts back positioned danmaku that started long before', () => {
+    const { creepyBird, clock } = createStage();
+    const events = recordDanmakuEvents(creepyBird);
+    creepyBird.setData([
+      danmaku(0.1, DanmakuType.Float, 'float'),
+      danmaku(0.1, DanmakuType.Positioned, 'positioned', { position }),
+    ]);
+    creepyBird.show();
+    clock.seek(15);
+    expect(events.shown.at(-1)).toBe('positioned');
+    expect(creepyBird.getStats().active).toBe(1);
+
+    // Pushed danmaku count as well
+    creepyBird.push(danmaku(1, DanmakuType.Positioned, 'longer', { position: { ...position, duration: 40 } }));
+    clock.seek(30);
+    expect(events.shown.at(-1)).toBe('longer');
+    expect(creepyBird.getStats().active).toBe(1);
+  });
+});
+
+describe('setOptions', () => {
+  it('lays the stage out again when text sizes change', () => {
+    const { creepyBird, clock } = createStage();
+    const events = recordDanmakuEvents(creepyBird);
+    creepyBird.setData(Array.from({ length: 12 }, (_, i) => danmaku(0.1, DanmakuType.Top, `top${i}`)));
+    creepyBird.show();
+    clock.play();
+    vi.advanceTimersByTime(200);
+
+    // Twice the font size leaves room for 6 lines, the rest can't be put back
+    creepyBird.setOptions({ fontSize: 48 });
+    expect(events.ended.length).toBe(12);
+    expect(events.shown.length).toBe(18);
+    expect(creepyBird.getStats().active).toBe(6);
+
+    // Options that don't change text sizes leave the stage alone
+    creepyBird.setOptions({ fontSize: 48, opacity: 0.5 });
+    expect(events.ended.length).toBe(12);
+  });
+
+  it('rejects invalid values without applying any of the options', () => {
+    const { creepyBird } = createStage();
+    const before = creepyBird.getOptions();
+    expect(() => creepyBird.setOptions({ fontSize: 30, lineSpacing: 0 })).toThrow('Line spacing must be a positive number');
+    expect(() => creepyBird.setOptions({ fontSize: -1 })).toThrow('Font size must be a positive number');
+    expect(() => creepyBird.setOptions({ displayArea: 1.5 })).toThrow('Display area must be');
+    expect(() => creepyBird.setOptions({ fontWeight: 'heavy' })).toThrow('Font weight must be');
+    expect(() => creepyBird.setOptions({ fontFamily: ' ' })).toThrow('fontFamily must be a non-empty string');
+    expect(() => creepyBird.setOptions({ speed: 100 })).toThrow('Unknown option: speed');
+    expect(() => creepyBird.setOptions({ container: document.createElement('div') })).toThrow('Container can only be changed while not attached');
+    expect(creepyBird.getOptions()).toEqual(before);
+  });
+});
+
+describe('time offset', () => {
+  // Timeline time at the clock's current time, as stamped on a danmaku pushed without one
+  function timelineTime(creepyBird, text) {
+    creepyBird.push({ text });
+    return JSON.parse(creepyBird.exportDanmaku('json')).data.find(item => item[4] === text)[0];
+  }
+
+  it('adds the offset table entry in effect to the base offset', () => {
+    const { creepyBird, clock } = createStage();
+    creepyBird.setTimeOffset(1).setOffsetTable([{ time: 20, offset: -2 }, { time: 10, offset: 5 }]);
+    expect(creepyBird.getOffsetTable()).toEqual([{ time: 10, offset: 5 }, { time: 20, offset: -2 }]);
+
+    clock.seek(5);
+    expect(timelineTime(creepyBird, 'before the first entry')).toBe(4);
+    clock.seek(10);
+    expect(timelineTime(creepyBird, 'on an entry')).toBe(4);
+    clock.seek(15);
+    expect(timelineTime(creepyBird, 'between entries')).toBe(9);
+    clock.seek(25);
+    expect(timelineTime(creepyBird, 'after the last entry')).toBe(26);
+
+    creepyBird.setOffsetTable(null);
+    expect(timelineTime(creepyBird, 'without a table')).toBe(24);
+  });
+
+  it('rebuilds the stage when playback crosses an entry', () => {
+    const { creepyBird, clock } = createStage();
+    const events = recordDanmakuEvents(creepyBird);
+    creepyBird.setOffsetTable([{ time: 1, offset: 2 }]);
+    creepyBird.setData([danmaku(0.1, DanmakuType.Top, 'top')]);
+    creepyBird.show();
+    clock.play();
+    vi.advanceTimersByTime(900);
+    expect(events.shown).toEqual(['top']);
+
+    // Media time 1 is timeline time -1, before the danmaku
+    vi.advanceTimersByTime(200);
+    expect(events.ended).toEqual(['top']);
+    expect(creepyBird.getStats().active).toBe(0);
+
+    // And it comes again at media time 2.1
+    vi.advanceTimersByTime(1100);
+    expect(events.shown).toEqual(['top', 'top']);
+  });
+
+  it('rejects invalid offsets and tables', () => {
+    const { creepyBird } = createStage();
+    expect(() => creepyBird.setTimeOffset(NaN)).toThrow('Time offset must be a finite number of seconds');
+    expect(() => creepyBird.setOffsetTable([{ time: 1 }])).toThrow('Offset table entries must have a finite time and offset');
+    expect(() => creepyBird.setOffsetTable({})).toThrow('Offset table must be an array or null');
+  });
+});
+
+describe('canvas renderer', () => {
+  it('draws frames only while shown and playing', () => {
+    // jsdom has no canvas, count the frames drawn on a stand-in context
+    const context = {
+      setTransform() {}, clearRect: vi.fn(), measureText: () => ({ width: 10 }),
+      fillText() {}, strokeText() {}, save() {}, restore() {}
+    };
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+    const { creepyBird, clock } = createStage({ renderer: RendererType.Canvas });
+    creepyBird.setData([]);
+    const framesDuring = (ms) => {
+      context.clearRect.mockClear();
+      vi.advanceTimersByTime(ms);
+      return context.clearRect.mock.calls.length;
+    };
+
+    expect(framesDuring(100)).toBe(0);
+    creepyBird.show();
+    clock.play();
+    expect(framesDuring(100)).toBeGreaterThan(0);
+
+    clock.pause();
+    expect(framesDuring(100)).toBe(0);
+    clock.play();
+    expect(framesDuring(100)).toBeGreaterThan(0);
+
+    creepyBird.hide();
+    expect(framesDuring(100)).toBe(0);
+  });
+});
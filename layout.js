@@ -0,0 +1,149 @@
+/**
+ * Collision-free lane allocation for scrolling danmaku
+ *
+ * Pure computation, no DOM: every item is described by its `width`, the
+ * `stageWidth` it crosses, its `duration` and its `start` time in media
+ * seconds, and `reverse` for left-to-right items. Items move linearly from
+ * fully off one edge to fully off the other, so where any item is at any time
+ * follows from those numbers alone.
+ *
+ * Items moving in opposite directions can't share a lane: they would pass
+ * through each other, so a lane with unfinished traffic one way is blocked
+ * for items going the other way.
+ */
+class LaneLayout {
+  constructor(lanes = 0, margin = 0) {
+    this.margin = margin;  // Minimum gap in pixels between items of a lane
+    this._lanes = [];      // Per lane, see emptyLane()
+    this.resize(lanes);
+  }
+
+  get lanes() {
+    return this._lanes.length;
+  }
+
+  // Change the number of lanes, keeping the items of the remaining ones
+  resize(lanes) {
+    while (this._lanes.length > lanes) {
+      this._lanes.pop();
+    }
+    while (this._lanes.length < lanes) {
+      this._lanes.push(emptyLane());
+    }
+  }
+
+  clear() {
+    this._lanes = this._lanes.map(() => emptyLane());
+  }
+
+  // Lane where `item` never comes within `margin` of the lane's previous
+  // item from `time` on, or null if there is none. The least recently used
+  // such lane wins, top first, so comments spread over the whole area.
+  // An item `span` lanes tall needs that many free lanes from the one picked.
+  pick(item, time, span = 1) {
+    let best = null;
+    let bestStart = Infinity;
+    for (let index = 0; index + span <= this._lanes.length; index++) {
+      let lastStart = -Infinity;
+      let fits = true;
+      for (let lane = index; lane < index + span && fits; lane++) {
+        fits = this.laneGap(lane, item, time) >= this.margin;
+        const ahead = item.reverse ? this._lanes[lane].reverse : this._lanes[lane].forward;
+        lastStart = Math.max(lastStart, ahead ? ahead.start : -Infinity);
+      }
+      if (fits && lastStart < bestStart) {
+        best = index;
+        bestStart = lastStart;
+      }
+    }
+    return best;
+  }
+
+  // Lane where `item` overlaps its predecessors in the `span` lanes from it
+  // the least, for when overlapping is allowed. Null only if there are fewer
+  // lanes than `span`.
+  pickOverlap(item, time, span = 1) {
+    let best = null;
+    let bestGap = -Infinity;
+    for (let index = 0; index + span <= this._lanes.length; index++) {
+      let gap = Infinity;
+      for (let lane = index; lane < index + span; lane++) {
+        gap = Math.min(gap, this.laneGap(lane, item, time));
+      }
+      if (best === null || gap > bestGap) {
+        best = index;
+        bestGap = gap;
+      }
+    }
+    return best;
+  }
+
+  // Record `item` as the newest item of a lane and the `span` - 1 below it
+  add(lane, item, span = 1) {
+    if (lane < 0 || lane + span > this._lanes.length) {
+      throw new Error(`Lane out of range: ${lane}`);
+    }
+    const end = item.start + item.duration;
+    for (let index = lane; index < lane + span; index++) {
+      const state = this._lanes[index];
+      if (item.reverse) {
+        state.reverse = item;
+        state.reverseEnd = Math.max(state.reverseEnd, end);
+      } else {
+        state.forward = item;
+        state.forwardEnd = Math.max(state.forwardEnd, end);
+      }
+    }
+  }
+
+  // Smallest distance in pixels between `item` and the traffic of `lane`
+  // from `time` on: -Infinity while items going the other way are still on
+  // the stage, else the gap() to the lane's previous item in its direction
+  laneGap(lane, item, time) {
+    const state = this._lanes[lane];
+    const opposingEnd = item.reverse ? state.forwardEnd : state.reverseEnd;
+    if (opposingEnd > time) {
+      return -Infinity;
+    }
+    return this.gap(item.reverse ? state.reverse : state.forward, item, time);
+  }
+
+  // Smallest distance in pixels between `ahead` and the following `item`
+  // from `time` until `ahead` leaves the stage, Infinity if they never share
+  // it. Both move linearly, so the distance is smallest at either end.
+  gap(ahead, item, time) {
+    if (!ahead) {
+      return Infinity;
+    }
+    const end = ahead.start + ahead.duration;
+    if (end <= time) {
+      return Infinity;
+    }
+    return Math.min(distance(ahead, item, time), distance(ahead, item, end));
+  }
+}
+
+// Lane with no items: the last item and the latest end time per direction
+function emptyLane() {
+  return { forward: null, reverse: null, forwardEnd: -Infinity, reverseEnd: -Infinity };
+}
+
+// Left edge of an item at `time`
+function leftAt(item, time) {
+  const progress = item.duration > 0 ? (time - item.start) / item.duration : 1;
+  const travelled = (item.stageWidth + item.width) * progress;
+  return item.reverse ? travelled - item.width : item.stageWidth - travelled;
+}
+
+// Space between `ahead` and the `item` following it at `time`
+function distance(ahead, item, time) {
+  if (item.reverse) {
+    return leftAt(ahead, time) - (leftAt(item, time) + item.width);
+  }
+  return leftAt(item, time) - (leftAt(ahead, time) + ahead.width);
+}
+
+export {
+  LaneLayout,
+  leftAt,
+};
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { LaneLayout, leftAt } from './layout.js';
+
+// 100px wide item crossing a 1000px stage at 100px/s
+function item(start, reverse = false) {
+  return { width: 100, stageWidth: 1000, duration: 11, start, reverse };
+}
+
+describe('leftAt', () => {
+  it('moves forward items right to left and reverse items left to right', () => {
+    expect(leftAt(item(0), 0)).toBe(1000);
+    expect(leftAt(item(0), 11)).toBe(-100);
+    expect(leftAt(item(0, true), 0)).toBe(-100);
+    expect(leftAt(item(0, true), 11)).toBe(1000);
+  });
+});
+
+describe('LaneLayout.gap', () => {
+  const layout = new LaneLayout(1);
+
+  it('is Infinity without an item ahead or once it has left', () => {
+    expect(layout.gap(null, item(2), 2)).toBe(Infinity);
+    expect(layout.gap(item(0), item(12), 12)).toBe(Infinity);
+  });
+
+  it('is the smallest distance until the item ahead leaves', () => {
+    // Same speed, so the 100px between them at t=2 holds until t=11
+    expect(layout.gap(item(0), item(2), 2)).toBe(100);
+    expect(layout.gap(item(0), item(0.5), 0.5)).toBe(-50);
+  });
+});
+
+describe('LaneLayout.pick', () => {
+  it('starts at the top lane', () => {
+    expect(new LaneLayout(3, 50).pick(item(0), 0)).toBe(0);
+  });
+
+  it('skips lanes where the item would come within the margin', () => {
+    const layout = new LaneLayout(2, 50);
+    layout.add(0, item(0));
+    expect(layout.pick(item(0.5), 0.5)).toBe(1);
+  });
+
+  it('prefers the least recently used free lane', () => {
+    const layout = new LaneLayout(2, 50);
+    layout.add(0, item(0));
+    layout.add(1, item(0.5));
+    expect(layout.pick(item(5), 5)).toBe(0);
+  });
+
+  it('returns null when every lane is taken', () => {
+    const layout = new LaneLayout(1, 50);
+    layout.add(0, item(0));
+    expect(layout.pick(item(0.2), 0.2)).toBe(null);
+  });
+
+  it('keeps opposite directions out of a lane until it is clear', () => {
+    const layout = new LaneLayout(2, 50);
+    layout.add(0, item(0));
+    // They would cross between t=5 and t=6 in lane 0
+    expect(layout.pick(item(1, true), 1)).toBe(1);
+    layout.add(1, item(1, true));
+    expect(layout.pick(item(2, true), 2)).toBe(null);
+    expect(layout.pick(item(11, true), 11)).toBe(0);
+  });
+
+  it('blocks a lane until its longest opposing item has left', () => {
+    const layout = new LaneLayout(1, 0);
+    layout.add(0, { ...item(0), duration: 20 });
+    layout.add(0, item(5));
+    expect(layout.pick(item(19, true), 19)).toBe(null);
+    expect(layout.pick(item(20, true), 20)).toBe(0);
+  });
+
+  it('finds room for items spanning several lanes', () => {
+    const layout = new LaneLayout(4, 50);
+    layout.add(1, item(0));
+    expect(layout.pick(item(0.5), 0.5, 2)).toBe(2);
+    layout.add(2, item(0.5), 2);
+    expect(layout.pick(item(0.6), 0.6)).toBe(0);
+    expect(layout.pick(item(0.6), 0.6, 2)).toBe(null);
+  });
+
+  it('forgets items on clear()', () => {
+    const layout = new LaneLayout(1, 50);
+    layout.add(0, item(0));
+    layout.clear();
+    expect(layout.pick(item(1, true), 1)).toBe(0);
+  });
+});
+
+describe('LaneLayout.pickOverlap', () => {
+  it('picks the lane with the largest gap', () => {
+    const layout = new LaneLayout(2, 50);
+    layout.add(0, item(0));
+    layout.add(1, item(0.3));
+    expect(layout.pickOverlap(item(0.4), 0.4)).toBe(0);
+  });
+
+  it('still returns a lane when all of them have opposing traffic', () => {
+    const layout = new LaneLayout(2, 50);
+    layout.add(0, item(0));
+    layout.add(1, item(0));
+    expect(layout.pickOverlap(item(1, true), 1)).toBe(0);
+  });
+
+  it('weighs every lane an item spans', () => {
+    const layout = new LaneLayout(3, 50);
+    layout.add(0, item(0.3));
+    layout.add(2, item(0));
+    // Lanes 0-1 hold an item from t=0.3, lanes 1-2 one from t=0
+    expect(layout.pickOverlap(item(0.4), 0.4, 2)).toBe(1);
+  });
+
+  it('is null without lanes', () => {
+    expect(new LaneLayout(0).pickOverlap(item(0), 0)).toBe(null);
+    expect(new LaneLayout(1).pickOverlap(item(0), 0, 2)).toBe(null);
+  });
+});
+
+describe('LaneLayout.add', () => {
+  it('rejects lanes out of range', () => {
+    expect(() => new LaneLayout(1).add(1, item(0))).toThrow('Lane out of range: 1');
+    expect(() => new LaneLayout(2).add(1, item(0), 2)).toThrow('Lane out of range: 1');
+  });
+});
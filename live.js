@@ -0,0 +1,122 @@
+/**
+ * Base class for live danmaku sources
+ *
+ * A source delivers danmaku as they arrive by calling the callback given to
+ * start() with a single danmaku or an array of them, in any form accepted by
+ * CreepyBird.push().
+ */
+class LiveSource {
+  start(onDanmaku) {
+    throw new Error('start() must be implemented by subclass');
+  }
+
+  stop() {
+    throw new Error('stop() must be implemented by subclass');
+  }
+}
+
+// Default message decoder: JSON object or array of objects
+function decodeJSONMessage(data) {
+  if (typeof data !== 'string') {
+    return null;
+  }
+  return JSON.parse(data);
+}
+
+/**
+ * Live source reading danmaku from a WebSocket, reconnecting with
+ * exponential backoff when the connection drops
+ */
+class WebSocketSource extends LiveSource {
+  constructor(url, options = {}) {
+    super();
+    this.url = url;
+    this._protocols = options.protocols;              // Optional WebSocket sub-protocols
+    this._decode = options.decode || decodeJSONMessage;  // (messageData) => danmaku | danmaku[] | null
+    this._minDelay = options.minDelay ?? 1000;       // First reconnect delay in ms
+    this._maxDelay = options.maxDelay ?? 30000;      // Upper bound for reconnect delay in ms
+    this._maxRetries = options.maxRetries ?? Infinity;  // Reconnect attempts before giving up
+    if (this._minDelay < 0 || this._maxDelay < this._minDelay) {
+      throw new Error('Reconnect delays must satisfy 0 <= minDelay <= maxDelay');
+    }
+
+    this._socket = null;
+    this._onDanmaku = null;
+    this._retries = 0;
+    this._timerId = null;
+  }
+
+  isConnected() {
+    return this._socket !== null && this._socket.readyState === WebSocket.OPEN;
+  }
+
+  start(onDanmaku) {
+    if (this._onDanmaku) {
+      throw new Error('WebSocketSource is already started');
+    }
+    this._onDanmaku = onDanmaku;
+    this._retries = 0;
+    this._connect();
+  }
+
+  stop() {
+    this._onDanmaku = null;
+    if (this._timerId) {
+      clearTimeout(this._timerId);
+      this._timerId = null;
+    }
+    if (this._socket) {
+      const socket = this._socket;
+      this._socket = null;  // Clear first so onclose does not reconnect
+      socket.close();
+    }
+  }
+
+  _connect() {
+    const socket = new WebSocket(this.url, this._protocols);
+    this._socket = socket;
+
+    socket.onopen = () => {
+      this._retries = 0;
+    };
+
+    socket.onmessage = (event) => {
+      if (!this._onDanmaku) {
+        return;
+      }
+      try {
+        const danmaku = this._decode(event.data);
+        if (danmaku) {
+          this._onDanmaku(danmaku);
+        }
+      } catch (e) {
+        console.warn('Failed to handle live danmaku message:', e);
+      }
+    };
+
+    socket.onclose = () => {
+      if (this._socket !== socket) {
+        return;  // Closed by stop() or superseded
+      }
+      this._socket = null;
+      this._scheduleReconnect();
+    };
+  }
+
+  _scheduleReconnect() {
+    if (!this._onDanmaku || this._retries >= this._maxRetries) {
+      return;
+    }
+    const delay = Math.min(this._minDelay * 2 ** this._retries, this._maxDelay);
+    this._retries++;
+    this._timerId = setTimeout(() => {
+      this._timerId = null;
+      this._connect();
+    }, delay);
+  }
+}
+
+export {
+  LiveSource,
+  WebSocketSource,
+};
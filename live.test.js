@@ -0,0 +1,261 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { LiveSource, WebSocketSource } from './live.js';
+import CreepyBird from './index.js';
+import { useStageTimers, createStage, recordDanmakuEvents } from './test-stage.js';
+
+// Stands in for the browser WebSocket, closing and opening only when told to
+class MockWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+  static instances = [];
+
+  constructor(url, protocols) {
+    this.url = url;
+    this.protocols = protocols;
+    this.readyState = MockWebSocket.CONNECTING;
+    MockWebSocket.instances.push(this);
+  }
+
+  open() {
+    this.readyState = MockWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  receive(data) {
+    this.onmessage?.({ data });
+  }
+
+  close() {
+    this.readyState = MockWebSocket.CLOSED;
+    this.onclose?.();
+  }
+}
+
+function lastSocket() {
+  return MockWebSocket.instances[MockWebSocket.instances.length - 1];
+}
+
+describe('WebSocketSource', () => {
+  beforeEach(() => {
+    MockWebSocket.instances = [];
+    vi.stubGlobal('WebSocket', MockWebSocket);
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('rejects delays out of order', () => {
+    expect(() => new WebSocketSource('ws://x', { minDelay: 100, maxDelay: 50 })).toThrow('minDelay <= maxDelay');
+    expect(() => new WebSocketSource('ws://x', { minDelay: -1 })).toThrow('minDelay <= maxDelay');
+  });
+
+  it('connects on start() and passes on decoded messages', () => {
+    const received = [];
+    const source = new WebSocketSource('ws://live', { protocols: ['danmaku'] });
+    source.start(danmaku => received.push(danmaku));
+
+    const socket = lastSocket();
+    expect(socket.url).toBe('ws://live');
+    expect(socket.protocols).toEqual(['danmaku']);
+    expect(source.isConnected()).toBe(false);
+    socket.open();
+    expect(source.isConnected()).toBe(true);
+
+    socket.receive('{"text":"hi"}');
+    socket.receive('[{"text":"a"},{"text":"b"}]');
+    expect(received).toEqual([{ text: 'hi' }, [{ text: 'a' }, { text: 'b' }]]);
+  });
+
+  it('skips messages that fail to decode', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const received = [];
+    const source = new WebSocketSource('ws://live', {
+      decode: data => (data === 'skip' ? null : JSON.parse(data))
+    });
+    source.start(danmaku => received.push(danmaku));
+    lastSocket().open();
+
+    lastSocket().receive('skip');
+    lastSocket().receive('{broken');
+    lastSocket().receive('{"text":"ok"}');
+    expect(received).toEqual([{ text: 'ok' }]);
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses to start twice', () => {
+    const source = new WebSocketSource('ws://live');
+    source.start(() => {});
+    expect(() => source.start(() => {})).toThrow('already started');
+  });
+
+  it('reconnects with exponentially growing delays up to maxDelay', () => {
+    const source = new WebSocketSource('ws://live', { minDelay: 1000, maxDelay: 3000 });
+    source.start(() => {});
+
+    for (const delay of [1000, 2000, 3000, 3000]) {
+      const count = MockWebSocket.instances.length;
+      lastSocket().close();
+      vi.advanceTimersByTime(delay - 1);
+      expect(MockWebSocket.instances.length).toBe(count);
+      vi.advanceTimersByTime(1);
+      expect(MockWebSocket.instances.length).toBe(count + 1);
+    }
+  });
+
+  it('starts over at minDelay once a connection opens', () => {
+    const source = new WebSocketSource('ws://live', { minDelay: 1000 });
+    source.start(() => {});
+    lastSocket().close();
+    vi.advanceTimersByTime(1000);
+    lastSocket().close();
+    vi.advanceTimersByTime(2000);
+
+    lastSocket().open();
+    lastSocket().close();
+    vi.advanceTimersByTime(1000);
+    expect(MockWebSocket.instances.length).toBe(4);
+  });
+
+  it('gives up after maxRetries attempts', () => {
+    const source = new WebSocketSource('ws://live', { minDelay: 10, maxRetries: 2 });
+    source.start(() => {});
+    lastSocket().close();
+    vi.advanceTimersByTime(10);
+    lastSocket().close();
+    vi.advanceTimersByTime(20);
+    lastSocket().close();
+    vi.runAllTimers();
+    expect(MockWebSocket.instances.length).toBe(3);
+  });
+
+  it('does not reconnect after stop()', () => {
+    const source = new WebSocketSource('ws://live', { minDelay: 10 });
+    source.start(() => {});
+    const socket = lastSocket();
+    socket.open();
+    source.stop();
+    expect(socket.readyState).toBe(MockWebSocket.CLOSED);
+    vi.runAllTimers();
+    expect(MockWebSocket.instances.length).toBe(1);
+  });
+
+  it('cancels a pending reconnect on stop()', () => {
+    const source = new WebSocketSource('ws://live', { minDelay: 10 });
+    source.start(() => {});
+    lastSocket().close();
+    source.stop();
+    vi.runAllTimers();
+    expect(MockWebSocket.instances.length).toBe(1);
+  });
+});
+
+describe('CreepyBird.push', () => {
+  // Tuples at the given times, labelled by their index
+  function danmakuAt(times) {
+    return times.map((time, index) => [time, 0, '#ffffff', 'user', `d${index}`]);
+  }
+
+  function timeline(creepyBird) {
+    return JSON.parse(creepyBird.exportDanmaku('json')).data;
+  }
+
+  function texts(creepyBird) {
+    return timeline(creepyBird).map(danmaku => danmaku[4]);
+  }
+
+  // Shown and playing from `time` on, with `data` on the timeline
+  function playFrom(time, data) {
+    const { creepyBird, clock } = createStage();
+    const events = recordDanmakuEvents(creepyBird);
+    creepyBird.setData(data);
+    creepyBird.show();
+    clock.seek(time);
+    events.shown.length = 0;
+    clock.play();
+    return { creepyBird, events };
+  }
+
+  beforeEach(() => {
+    useStageTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  it('keeps the timeline sorted, after danmaku with the same time', () => {
+    const creepyBird = new CreepyBird();
+    creepyBird.setData(danmakuAt([1, 5, 5, 20]));
+    creepyBird.push([5, 0, '#ffffff', 'user', 'new']);
+    creepyBird.push([[0, 0, '#ffffff', 'user', 'first'], [30, 0, '#ffffff', 'user', 'last']]);
+    expect(texts(creepyBird)).toEqual(['first', 'd0', 'd1', 'd2', 'new', 'd3', 'last']);
+  });
+
+  it('stamps danmaku without a time with the current time', () => {
+    const { creepyBird, clock } = createStage();
+    clock.seek(10);
+    creepyBird.push({ text: 'now' });
+    expect(timeline(creepyBird)[0][0]).toBe(10);
+  });
+
+  it('still shows the next danmaku after one inserted before it', () => {
+    const { creepyBird, events } = playFrom(14.9, danmakuAt([1, 15, 40]));
+    creepyBird.push([10, 0, '#ffffff', 'user', 'past']);
+    vi.advanceTimersByTime(500);
+    expect(events.shown).toEqual(['d1']);
+  });
+
+  it('shows a danmaku inserted after the next one in turn', () => {
+    const { creepyBird, events } = playFrom(14.9, danmakuAt([1, 15, 40]));
+    creepyBird.push([15.5, 0, '#ffffff', 'user', 'later']);
+    vi.advanceTimersByTime(1000);
+    expect(events.shown).toEqual(['d1', 'later']);
+  });
+
+  it('shows a danmaku that is due now right away', () => {
+    const { creepyBird, events } = playFrom(10, danmakuAt([1, 5, 20]));
+    vi.advanceTimersByTime(100);
+    creepyBird.push([10.05, 0, '#ffffff', 'user', 'due']);
+    vi.advanceTimersByTime(100);
+    expect(events.shown).toEqual(['due']);
+  });
+
+  it('shows danmaku pushed past the end of the timeline', () => {
+    const { creepyBird, events } = playFrom(10, danmakuAt([1, 2]));
+    creepyBird.push([12, 0, '#ffffff', 'user', 'ahead']);
+    creepyBird.push([10, 0, '#ffffff', 'user', 'due']);
+    vi.advanceTimersByTime(100);
+    expect(events.shown).toEqual(['due']);
+    vi.advanceTimersByTime(2000);
+    expect(events.shown).toEqual(['due', 'ahead']);
+  });
+
+  it('takes danmaku from live sources until they are removed', () => {
+    class TestSource extends LiveSource {
+      start(onDanmaku) {
+        this.emit = onDanmaku;
+      }
+
+      stop() {
+        this.stopped = true;
+      }
+    }
+    const creepyBird = new CreepyBird();
+    const source = new TestSource();
+    creepyBird.addSource(source);
+    source.emit([[2, 0, '#ffffff', 'user', 'live']]);
+    expect(texts(creepyBird)).toEqual(['live']);
+
+    creepyBird.removeSource(source);
+    expect(source.stopped).toBe(true);
+  });
+});
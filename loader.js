@@ -0,0 +1,302 @@
+/**
+ * Base class for errors loading danmaku. `source` is the URL, Blob or other
+ * source that failed.
+ */
+class LoadError extends Error {
+  constructor(message, source = null, cause = undefined) {
+    super(message, cause !== undefined ? { cause } : undefined);
+    this.name = 'LoadError';
+    this.source = source;
+  }
+}
+
+/**
+ * The request failed before a response arrived, or the body was cut off
+ */
+class NetworkError extends LoadError {
+  constructor(source = null, cause = undefined) {
+    super('Network request failed', source, cause);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * No response or body data arrived for `timeout` ms
+ */
+class TimeoutError extends NetworkError {
+  constructor(source = null, timeout = 0) {
+    super(source);
+    this.name = 'TimeoutError';
+    this.message = `Request timed out after ${timeout} ms`;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The server answered with a status other than 2xx
+ */
+class HTTPStatusError extends LoadError {
+  constructor(source = null, status = 0, statusText = '') {
+    super(`HTTP error! status: ${status}`, source);
+    this.name = 'HTTPStatusError';
+    this.status = status;
+    this.statusText = statusText;
+  }
+}
+
+/**
+ * The payload couldn't be read as danmaku: undetectable format or a parser
+ * failure. `format` is the format name, null if it couldn't be detected.
+ */
+class ParseError extends LoadError {
+  constructor(message, source = null, format = null, cause = undefined) {
+    super(message, source, cause);
+    this.name = 'ParseError';
+    this.format = format;
+  }
+}
+
+/**
+ * The payload parsed, but reported a non-zero `code`, e.g. an API error
+ * response in place of danmaku
+ */
+class PayloadCodeError extends LoadError {
+  constructor(source = null, format = null, code = 0) {
+    super(`Failed to parse ${format} data, code: ${code}`, source);
+    this.name = 'PayloadCodeError';
+    this.format = format;
+    this.code = code;
+  }
+}
+
+/**
+ * The load was cancelled, by a newer load, detach() or the caller's signal
+ */
+class LoadAbortedError extends LoadError {
+  constructor(source = null) {
+    super('Load aborted', source);
+    this.name = 'LoadAbortedError';
+  }
+}
+
+// Statuses worth another attempt, the rest won't change on retry
+const RetryableStatuses = new Set([408, 429, 500, 502, 503, 504]);
+
+const RequestCredentials = ['omit', 'same-origin', 'include'];
+
+// Check the request options accepted by DanmakuRequest. Other keys are
+// ignored so they can share an options object with the caller's own.
+function validateRequestOptions(options) {
+  const isCount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  if (options.timeout !== undefined && !isCount(options.timeout)) {
+    throw new Error('Timeout must be a non-negative number of ms, 0 for none');
+  }
+  if (options.retries !== undefined && !(Number.isInteger(options.retries) && options.retries >= 0)) {
+    throw new Error('Retries must be a non-negative integer');
+  }
+  if (options.retryDelay !== undefined && !isCount(options.retryDelay)) {
+    throw new Error('Retry delay must be a non-negative number of ms');
+  }
+  if (options.headers !== undefined && (options.headers === null || typeof options.headers !== 'object')) {
+    throw new Error('Headers must be an object or a Headers instance');
+  }
+  if (options.credentials !== undefined && !RequestCredentials.includes(options.credentials)) {
+    throw new Error(`Credentials must be one of ${RequestCredentials.join(', ')}`);
+  }
+  if (options.signal !== undefined && !(options.signal && typeof options.signal.addEventListener === 'function')) {
+    throw new Error('Signal must be an AbortSignal');
+  }
+}
+
+/**
+ * One cancellable fetch of a danmaku file. Each attempt fails with a
+ * TimeoutError after `timeout` ms without progress; network errors,
+ * timeouts and 408/429/5xx statuses are retried with exponential backoff.
+ */
+class DanmakuRequest {
+  constructor(url, options = {}) {
+    validateRequestOptions(options);
+    this.url = url;
+    this._timeout = options.timeout ?? 30000;        // Ms without progress before an attempt fails, 0 for none
+    this._retries = options.retries ?? 2;            // Attempts after the first one
+    this._retryDelay = options.retryDelay ?? 1000;   // Ms before the first retry, doubled for every next one
+    this._headers = options.headers ?? {};
+    this._credentials = options.credentials ?? 'same-origin';
+    this._controller = new AbortController();        // Aborts the whole request, across attempts
+    this._delivered = false;                         // Whether stream() passed on any data, which can't be retried
+
+    // Follow the caller's signal as well
+    if (options.signal) {
+      if (options.signal.aborted) {
+        this.abort();
+      } else {
+        options.signal.addEventListener('abort', () => this.abort(), { once: true });
+      }
+    }
+  }
+
+  get aborted() {
+    return this._controller.signal.aborted;
+  }
+
+  abort() {
+    this._controller.abort();
+  }
+
+  // Fetch the whole body, resolves to `{ bytes, contentType }`. Calls
+  // `onProgress(loaded, total)` as data arrives, total is null if unknown.
+  load(onProgress = null) {
+    return this._retry(() => this._attempt((response, next) => {
+      const total = Number(response.headers.get('Content-Length')) || null;
+      const chunks = [];
+      let loaded = 0;
+      const read = () => next().then(({ done, value }) => {
+        if (done) {
+          return {
+            bytes: concatChunks(chunks, loaded),
+            contentType: response.headers.get('Content-Type') || ''
+          };
+        }
+        chunks.push(value);
+        loaded += value.byteLength;
+        if (onProgress) {
+          onProgress(loaded, total);
+        }
+        return read();
+      });
+      return read();
+    }));
+  }
+
+  // Fetch the body chunk by chunk, calling `onChunk(bytes, loaded, total)`
+  // for each. Only attempts that failed before the first chunk are retried.
+  stream(onChunk) {
+    return this._retry(() => this._attempt((response, next) => {
+      const total = Number(response.headers.get('Content-Length')) || null;
+      let loaded = 0;
+      const read = () => next().then(({ done, value }) => {
+        if (done) {
+          return;
+        }
+        loaded += value.byteLength;
+        this._delivered = true;
+        onChunk(value, loaded, total);
+        return read();
+      });
+      return read();
+    }));
+  }
+
+  // Run `attempt()` until it succeeds, fails for good or runs out of retries
+  _retry(attempt, retried = 0) {
+    return attempt().catch(error => {
+      const retryable = error instanceof NetworkError ||
+        (error instanceof HTTPStatusError && RetryableStatuses.has(error.status));
+      if (!retryable || this._delivered || retried >= this._retries) {
+        throw error;
+      }
+      return this._sleep(this._retryDelay * 2 ** retried)
+        .then(() => this._retry(attempt, retried + 1));
+    });
+  }
+
+  // Wait `delay` ms, rejecting early with LoadAbortedError when aborted
+  _sleep(delay) {
+    return new Promise((resolve, reject) => {
+      const signal = this._controller.signal;
+      if (signal.aborted) {
+        reject(new LoadAbortedError(this.url));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new LoadAbortedError(this.url));
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // One fetch of the URL. `read(response, next)` consumes the body, where
+  // next() resolves to the reader's next `{ done, value }` and restarts the
+  // timeout. Fetch and read failures come out as typed LoadErrors.
+  _attempt(read) {
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    this._controller.signal.addEventListener('abort', cancel, { once: true });
+
+    let timer = null;
+    let timedOut = false;
+    const keepAlive = () => {
+      clearTimeout(timer);
+      if (this._timeout > 0) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, this._timeout);
+      }
+    };
+    const fail = (error) => {
+      if (this.aborted) {
+        throw new LoadAbortedError(this.url);
+      }
+      if (timedOut) {
+        throw new TimeoutError(this.url, this._timeout);
+      }
+      throw new NetworkError(this.url, error);
+    };
+
+    if (this.aborted) {
+      return Promise.reject(new LoadAbortedError(this.url));
+    }
+    keepAlive();
+    return fetch(this.url, {
+      headers: this._headers,
+      credentials: this._credentials,
+      signal: controller.signal
+    })
+      .catch(fail)
+      .then(response => {
+        if (!response.ok) {
+          response.body?.cancel().catch(() => {});
+          throw new HTTPStatusError(this.url, response.status, response.statusText);
+        }
+        keepAlive();
+        const reader = response.body.getReader();
+        const next = () => reader.read().then(result => {
+          keepAlive();
+          return result;
+        }, fail);
+        return read(response, next);
+      })
+      .finally(() => {
+        clearTimeout(timer);
+        this._controller.signal.removeEventListener('abort', cancel);
+      });
+  }
+}
+
+function concatChunks(chunks, length) {
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+}
+
+export {
+  LoadError,
+  NetworkError,
+  TimeoutError,
+  HTTPStatusError,
+  ParseError,
+  PayloadCodeError,
+  LoadAbortedError,
+  DanmakuRequest,
+  validateRequestOptions,
+};
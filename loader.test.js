@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  DanmakuRequest, NetworkError, TimeoutError, HTTPStatusError, LoadAbortedError, validateRequestOptions
+} from './loader.js';
+import CreepyBird from './index.js';
+
+const url = 'https://example.com/danmaku.json';
+
+// A fetch() that never answers, rejecting like the browser once aborted
+function pendingFetch(url, { signal }) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+  });
+}
+
+// Stub fetch() with `responses`, one per call: a Response, an Error to
+// reject with, or a function standing in for fetch()
+function stubFetch(...responses) {
+  const fetch = vi.fn((url, init) => {
+    const response = responses.shift();
+    if (typeof response === 'function') {
+      return response(url, init);
+    }
+    return response instanceof Error ? Promise.reject(response) : Promise.resolve(response);
+  });
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('DanmakuRequest', () => {
+  it('retries 5xx statuses with a doubling delay', async () => {
+    const fetch = stubFetch(
+      new Response('', { status: 503 }),
+      new Response('', { status: 500 }),
+      new Response('[]', { headers: { 'Content-Type': 'application/json' } })
+    );
+    const loading = new DanmakuRequest(url, { retryDelay: 100 }).load();
+
+    await vi.advanceTimersByTimeAsync(99);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(199);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    const payload = await loading;
+    expect(new TextDecoder().decode(payload.bytes)).toBe('[]');
+    expect(payload.contentType).toBe('application/json');
+  });
+
+  it('retries network errors and gives up after the last retry', async () => {
+    const fetch = stubFetch(new TypeError('offline'), new TypeError('offline'));
+    const loading = new DanmakuRequest(url, { retries: 1, retryDelay: 100 }).load();
+    const failed = expect(loading).rejects.toBeInstanceOf(NetworkError);
+
+    await vi.advanceTimersByTimeAsync(100);
+    await failed;
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await expect(loading).rejects.toMatchObject({ source: url, cause: new TypeError('offline') });
+  });
+
+  it("doesn't retry 4xx statuses", async () => {
+    const fetch = stubFetch(new Response('', { status: 404, statusText: 'Not Found' }));
+    const loading = new DanmakuRequest(url).load();
+
+    await expect(loading).rejects.toBeInstanceOf(HTTPStatusError);
+    await expect(loading).rejects.toMatchObject({ status: 404, statusText: 'Not Found' });
+    await vi.runAllTimersAsync();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('times out an attempt without progress', async () => {
+    stubFetch(pendingFetch);
+    const loading = new DanmakuRequest(url, { timeout: 5000, retries: 0 }).load();
+    const failed = expect(loading).rejects.toBeInstanceOf(TimeoutError);
+
+    await vi.advanceTimersByTimeAsync(5000);
+    await failed;
+    await expect(loading).rejects.toMatchObject({ timeout: 5000, message: 'Request timed out after 5000 ms' });
+  });
+
+  it('rejects with LoadAbortedError when aborted, also while waiting for a retry', async () => {
+    stubFetch(pendingFetch, new Response('', { status: 503 }));
+    const first = new DanmakuRequest(url);
+    const firstLoading = first.load();
+    first.abort();
+    await expect(firstLoading).rejects.toBeInstanceOf(LoadAbortedError);
+
+    const second = new DanmakuRequest(url, { retryDelay: 100 });
+    const secondLoading = second.load();
+    await vi.advanceTimersByTimeAsync(50);
+    second.abort();
+    await expect(secondLoading).rejects.toBeInstanceOf(LoadAbortedError);
+  });
+
+  it('validates its options', () => {
+    expect(() => validateRequestOptions({ timeout: -1 })).toThrow('Timeout must be');
+    expect(() => validateRequestOptions({ retries: 1.5 })).toThrow('Retries must be');
+    expect(() => validateRequestOptions({ credentials: 'all' })).toThrow('Credentials must be');
+    expect(() => validateRequestOptions({ signal: {} })).toThrow('Signal must be');
+  });
+});
+
+describe('CreepyBird.load', () => {
+  it('aborts the load in progress when another one starts', async () => {
+    const fetch = stubFetch(pendingFetch, new Response('[[1, 1, "#ffffff", "user", "second"]]'));
+    const creepyBird = new CreepyBird();
+    const errors = [];
+    creepyBird.on('load:error', ({ error }) => errors.push(error));
+
+    const first = creepyBird.load(url, 'json');
+    const second = creepyBird.load(url + '?second', 'json');
+
+    await expect(first).rejects.toBeInstanceOf(LoadAbortedError);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toBeInstanceOf(LoadAbortedError);
+    expect((await second).map(danmaku => danmaku.text)).toEqual(['second']);
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+});
@@ -0,0 +1,24 @@
+import { getParser, decodePayload } from './parser.js';
+
+// Parses payloads off the main thread for CreepyBird. Receives
+// `{ id, bytes, format }` with a registered built-in format name, replies
+// `{ id, data }` with danmaku tuples sorted by time, `{ id, code }` for a
+// payload reporting a non-zero code, or `{ id, error }` if parsing failed.
+self.onmessage = (event) => {
+  const { id, bytes, format } = event.data;
+  try {
+    const ParserClass = getParser(format);
+    if (!ParserClass) {
+      throw new Error(`Unknown danmaku format: ${format}`);
+    }
+    const parsedData = new ParserClass().parse(decodePayload(bytes, ParserClass));
+    if (parsedData.code !== 0) {
+      self.postMessage({ id, code: parsedData.code });
+      return;
+    }
+    const data = parsedData.data.sort((a, b) => a[0] - b[0]);
+    self.postMessage({ id, data });
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};
@@ -2,92 +2,816 @@
  * Enum for danmaku display types
  */
 const DanmakuType = {
-  Float: 0,   // Scrolling from right to left
-  Bottom: 1,  // Fixed at bottom
-  Top: 2,     // Fixed at top
+  Float: 0,       // Scrolling from right to left
+  Bottom: 1,      // Fixed at bottom
+  Top: 2,         // Fixed at top
+  Reverse: 3,     // Scrolling from left to right
+  Positioned: 4,  // Placed at coordinates with fade, rotation and motion
+};
+
+/**
+ * Stage size of the classic Bilibili player, which pixel coordinates in
+ * positioned (mode 7) danmaku refer to
+ */
+const BilibiliStage = {
+  width: 512,
+  height: 384,
+};
+
+/**
+ * Bilibili font sizes, used as the common font size scale for all formats
+ */
+const DanmakuFontSize = {
+  Small: 18,
+  Medium: 25,  // Default, rendered at the configured base font size
+  Large: 36,
 };
 
 /**
  * Base class for danmaku format parsers
+ *
+ * parse() returns `{ code, data }` where data holds
+ * `[time, mode, color, userId, text, extra]` tuples. `extra` is optional and
+ * may carry `fontSize`, `timestamp`, `pool`, `id` and `weight`, plus
+ * `position` for DanmakuType.Positioned (see parseBilibiliPositioned).
  */
 class DanmakuParser {
+  // Input type parse() expects: 'text', 'json' or 'arraybuffer'
+  static inputType = 'text';
+
+  // Check whether a payload looks like this format. `head` is the start of
+  // the payload decoded as text, `bytes` the raw payload.
+  static detect(head, contentType, bytes) {
+    return false;
+  }
+
   parse(data) {
     throw new Error('parse() must be implemented by subclass');
   }
+
+  // Incremental parser for text arriving in chunks, used by
+  // CreepyBird.loadStream(): `{ push(text), end() }` where push() returns the
+  // danmaku tuples completed by each chunk and the optional end() is called
+  // once the text is complete. Null for formats that can't be parsed in pieces.
+  createStream() {
+    return null;
+  }
 }
 
 /**
  * Parser for BiliBili's XML format
  */
 class BilibiliXMLParser extends DanmakuParser {
-  parse(xmlString) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
-    const danmakus = [];
+  static detect(head, contentType, bytes) {
+    return isTextPayload(bytes) && /^(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*)*<i[\s>]/.test(head);
+  }
 
+  parse(xmlString) {
     // Get all 'd' elements (danmaku entries)
-    const elements = xmlDoc.getElementsByTagName('d');
-    
+    const report = new ParseReport('Bilibili XML');
+    const danmakus = this._parseElements(readXMLElements(xmlString, 'd'), report);
+    report.flush();
+    return {
+      code: 0,
+      data: danmakus
+    };
+  }
+
+  createStream() {
+    const elements = new XMLElementStream('d');
+    const report = new ParseReport('Bilibili XML');
+    return {
+      push: text => this._parseElements(elements.push(text), report),
+      end: () => report.flush()
+    };
+  }
+
+  _parseElements(elements, report) {
+    const danmakus = [];
     for (const element of elements) {
       try {
-        const p = element.getAttribute('p').split(',');
-        const text = element.textContent;
+        const p = element.attributes.p.split(',');
+        const text = element.text;
 
         // Extract values from p attribute
         const time = parseFloat(p[0]);     // Appearance time
         const rawMode = parseInt(p[1]);     // Original bilibili mode
-        const fontSize = parseInt(p[2]);    // Font size (ignored)
+        const fontSize = parseInt(p[2]);    // Font size
         const color = '#' + parseInt(p[3]).toString(16).padStart(6, '0');  // Color
-        const timestamp = parseInt(p[4]);   // Timestamp (ignored)
-        const pool = parseInt(p[5]);        // Pool (ignored)
+        const timestamp = parseInt(p[4]);   // Send timestamp
+        const pool = parseInt(p[5]);        // Pool
         const userId = p[6];                // User ID
-        const rowId = parseInt(p[7]);       // Row ID (ignored)
+        const rowId = p[7] || null;         // Row ID, kept as a string since it can exceed 2^53
+        const weight = parseInt(p[8]);      // Weight, only in newer files
 
         // Convert bilibili mode to DanmakuType
-        const mode = this._convertMode(rawMode);
+        const mode = this._convertMode(rawMode, report);
+        const extra = {
+          fontSize: fontSize || DanmakuFontSize.Medium,
+          timestamp: timestamp || 0,
+          pool: pool || 0,
+          id: rowId ?? null,
+          weight: weight || 0
+        };
+
+        // Positioned danmaku carry their parameters as JSON in the text
+        let displayText = text;
+        if (mode === DanmakuType.Positioned) {
+          const positioned = parseBilibiliPositioned(text);
+          displayText = positioned.text;
+          extra.position = positioned.position;
+        }
 
         // Create danmaku item
-        const item = [time, mode, color, userId, text];
+        const item = [time, mode, color, userId, displayText, extra];
         danmakus.push(item);
+      } catch (e) {
+        report.fail(e);
+      }
+    }
+    return danmakus;
+  }
+
+  _convertMode(bilibiliMode, report) {
+    return convertBilibiliMode(bilibiliMode, report);
+  }
+}
+
+/**
+ * Minimal reader for the protobuf wire format
+ */
+class ProtobufReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  eof() {
+    return this.pos >= this.bytes.length;
+  }
 
-        // Log the parsed item
-        console.log('Parsed danmaku:', {
-          time,
-          originalMode: rawMode,
-          convertedMode: mode,
-          color,
-          userId,
-          text
-        });
+  // Read a varint as a BigInt so 64-bit values keep their precision
+  readVarint() {
+    let result = 0n;
+    let shift = 0n;
+    while (true) {
+      if (this.pos >= this.bytes.length) {
+        throw new Error('Truncated varint');
+      }
+      const byte = this.bytes[this.pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+      if ((byte & 0x80) === 0) {
+        return result;
+      }
+      shift += 7n;
+      if (shift > 63n) {
+        throw new Error('Varint too long');
+      }
+    }
+  }
+
+  readInt32() {
+    return Number(BigInt.asIntN(32, this.readVarint()));
+  }
+
+  readUint32() {
+    return Number(BigInt.asUintN(32, this.readVarint()));
+  }
+
+  readInt64String() {
+    return BigInt.asIntN(64, this.readVarint()).toString();
+  }
+
+  readBytes() {
+    const length = Number(this.readVarint());
+    const end = this.pos + length;
+    if (end > this.bytes.length) {
+      throw new Error('Truncated length-delimited field');
+    }
+    const bytes = this.bytes.subarray(this.pos, end);
+    this.pos = end;
+    return bytes;
+  }
+
+  readString() {
+    return textDecoder.decode(this.readBytes());
+  }
+
+  // Returns [fieldNumber, wireType]
+  readTag() {
+    const tag = Number(this.readVarint());
+    return [tag >>> 3, tag & 0x7];
+  }
+
+  skip(wireType) {
+    switch (wireType) {
+      case 0:  // Varint
+        this.readVarint();
+        break;
+      case 1:  // 64-bit
+        this.pos += 8;
+        break;
+      case 2:  // Length-delimited
+        this.readBytes();
+        break;
+      case 5:  // 32-bit
+        this.pos += 4;
+        break;
+      default:
+        throw new Error(`Unsupported wire type: ${wireType}`);
+    }
+    if (this.pos > this.bytes.length) {
+      throw new Error('Truncated field');
+    }
+  }
+}
+
+const textDecoder = new TextDecoder('utf-8');
+
+/**
+ * Parser for BiliBili's protobuf segment format (DmSegMobileReply)
+ */
+class BilibiliProtobufParser extends DanmakuParser {
+  static inputType = 'arraybuffer';
+
+  static detect(head, contentType, bytes) {
+    if (/protobuf/i.test(contentType)) {
+      return true;
+    }
+    // A DmSegMobileReply starts with its first `elems` field (tag 0x0a)
+    return bytes.length > 0 && bytes[0] === 0x0a && !isTextPayload(bytes);
+  }
+
+  parse(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const reader = new ProtobufReader(bytes);
+    const danmakus = [];
+    const report = new ParseReport('Bilibili protobuf');
+
+    // A truncated or corrupt segment throws, it's not a payload error code
+    while (!reader.eof()) {
+      const [field, wireType] = reader.readTag();
+      if (field === 1 && wireType === 2) {  // repeated DanmakuElem elems = 1
+        const item = this._parseElem(new ProtobufReader(reader.readBytes()), report);
+        if (item) {
+          danmakus.push(item);
+        }
+      } else {
+        reader.skip(wireType);
+      }
+    }
+    report.flush();
+
+    return {
+      code: 0,
+      data: danmakus
+    };
+  }
+
+  // Decode a DanmakuElem into a [time, mode, color, userId, text, extra] tuple
+  _parseElem(reader, report) {
+    let id = null;
+    let idStr = null;
+    let progress = 0;     // Appearance time in milliseconds
+    let rawMode = 1;
+    let fontSize = DanmakuFontSize.Medium;
+    let color = 0xffffff;
+    let userId = '';      // midHash
+    let text = '';
+    let timestamp = 0;    // ctime
+    let weight = 0;
+    let pool = 0;
+
+    while (!reader.eof()) {
+      const [field, wireType] = reader.readTag();
+      switch (field) {
+        case 1: id = reader.readInt64String(); break;
+        case 2: progress = reader.readInt32(); break;
+        case 3: rawMode = reader.readInt32(); break;
+        case 4: fontSize = reader.readInt32(); break;
+        case 5: color = reader.readUint32(); break;
+        case 6: userId = reader.readString(); break;
+        case 7: text = reader.readString(); break;
+        case 8: timestamp = Number(reader.readInt64String()); break;
+        case 9: weight = reader.readInt32(); break;
+        case 11: pool = reader.readInt32(); break;
+        case 12: idStr = reader.readString(); break;
+        default: reader.skip(wireType);
+      }
+    }
+
+    const time = progress / 1000;
+    const mode = convertBilibiliMode(rawMode, report);
+    const hexColor = '#' + color.toString(16).padStart(6, '0');
+    const extra = {
+      id: idStr || id,
+      fontSize,
+      weight,
+      pool,
+      timestamp
+    };
+
+    // Positioned danmaku carry their parameters as JSON in the content
+    if (mode === DanmakuType.Positioned) {
+      try {
+        const positioned = parseBilibiliPositioned(text);
+        text = positioned.text;
+        extra.position = positioned.position;
       } catch (e) {
-        console.warn('Failed to parse danmaku element:', e);
+        report.fail(e);
+        return null;
       }
     }
 
+    return [time, mode, hexColor, userId, text, extra];
+  }
+}
+
+/**
+ * Color names accepted in Niconico `mail` commands
+ */
+const NiconicoColors = {
+  white: '#ffffff',
+  red: '#ff0000',
+  pink: '#ff8080',
+  orange: '#ffc000',
+  yellow: '#ffff00',
+  green: '#00ff00',
+  cyan: '#00ffff',
+  blue: '#0000ff',
+  purple: '#c000ff',
+  black: '#000000',
+  // Premium colors
+  white2: '#cccc99',
+  niconicowhite: '#cccc99',
+  red2: '#cc0033',
+  truered: '#cc0033',
+  pink2: '#ff33cc',
+  orange2: '#ff6600',
+  passionorange: '#ff6600',
+  yellow2: '#999900',
+  madyellow: '#999900',
+  green2: '#00cc66',
+  elementalgreen: '#00cc66',
+  cyan2: '#00cccc',
+  blue2: '#3399ff',
+  marineblue: '#3399ff',
+  purple2: '#6633cc',
+  nobleviolet: '#6633cc',
+  black2: '#666666',
+};
+
+/**
+ * Font sizes for Niconico size commands, on Bilibili's 18/25/36 scale
+ */
+const NiconicoFontSizes = {
+  small: DanmakuFontSize.Small,
+  medium: DanmakuFontSize.Medium,
+  big: DanmakuFontSize.Large,
+};
+
+/**
+ * Parser for Niconico comments, either the legacy `<packet><chat>` XML, the
+ * legacy `[{ chat: {...} }]` JSON or the newer `{ data: { threads } }` JSON
+ */
+class NiconicoParser extends DanmakuParser {
+  static detect(head, contentType, bytes) {
+    if (!isTextPayload(bytes)) {
+      return false;
+    }
+    if (/^(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*)*<packet[\s>]/.test(head)) {
+      return true;
+    }
+    return /^[{[]/.test(head) && /"(?:threads|chat)"\s*:/.test(head);
+  }
+
+  parse(data) {
+    let danmakus;
+    const report = new ParseReport('Niconico');
+
+    if (typeof data === 'string' && data.trimStart().startsWith('<')) {
+      danmakus = this._parseXML(data, report);
+    } else {
+      const json = typeof data === 'string' ? JSON.parse(data) : data;
+      danmakus = this._parseJSON(json, report);
+    }
+    report.flush();
+
     return {
       code: 0,
       data: danmakus
     };
   }
 
-  _convertMode(bilibiliMode) {
-    // Map bilibili mode to DanmakuType
-    switch (bilibiliMode) {
-      case 1:  // Regular scrolling
-        return DanmakuType.Float;
-      case 4:  // Bottom fixed
-        return DanmakuType.Bottom;
-      case 5:  // Top fixed
-        return DanmakuType.Top;
-      default:
-        console.warn('Unknown bilibili mode:', bilibiliMode, 'defaulting to Float');
-        return DanmakuType.Float;
+  _parseXML(xmlString, report) {
+    const danmakus = [];
+
+    for (const { attributes, text } of readXMLElements(xmlString, 'chat')) {
+      try {
+        // Skip comments deleted by their owner or moderators
+        if (attributes.deleted) {
+          continue;
+        }
+        const vpos = parseInt(attributes.vpos);
+        const mail = attributes.mail || '';
+        danmakus.push(this._createItem(vpos / 100, mail.split(/\s+/), attributes.user_id, text, {
+          id: attributes.no,
+          timestamp: parseInt(attributes.date) || 0
+        }));
+      } catch (e) {
+        report.fail(e);
+      }
+    }
+
+    return danmakus;
+  }
+
+  _parseJSON(json, report) {
+    const danmakus = [];
+
+    // Newer nvcomment API: { data: { threads: [{ comments: [...] }] } }
+    const threads = json?.data?.threads ?? json?.threads;
+    if (Array.isArray(threads)) {
+      for (const thread of threads) {
+        for (const comment of thread.comments || []) {
+          try {
+            danmakus.push(this._createItem(comment.vposMs / 1000, comment.commands || [], comment.userId, comment.body, {
+              id: comment.id ?? comment.no,
+              timestamp: comment.postedAt ? Date.parse(comment.postedAt) / 1000 : 0
+            }));
+          } catch (e) {
+            report.fail(e);
+          }
+        }
+      }
+      return danmakus;
+    }
+
+    // Legacy JSON API: [{ chat: { vpos, mail, content, ... } }, ...]
+    if (Array.isArray(json)) {
+      for (const entry of json) {
+        const chat = entry?.chat;
+        if (!chat || chat.deleted) {
+          continue;
+        }
+        try {
+          danmakus.push(this._createItem(chat.vpos / 100, (chat.mail || '').split(/\s+/), chat.user_id, chat.content, {
+            id: chat.no,
+            timestamp: chat.date || 0
+          }));
+        } catch (e) {
+          report.fail(e);
+        }
+      }
+      return danmakus;
+    }
+
+    throw new Error('Unrecognized niconico comment format');
+  }
+
+  // Build a [time, mode, color, userId, text, extra] tuple from mail commands
+  _createItem(time, commands, userId, text, extra) {
+    if (!Number.isFinite(time)) {
+      throw new Error('Invalid vpos');
+    }
+
+    let mode = DanmakuType.Float;
+    let color = NiconicoColors.white;
+    let fontSize = NiconicoFontSizes.medium;
+
+    for (const command of commands) {
+      const name = command.toLowerCase();
+      if (name === 'ue') {
+        mode = DanmakuType.Top;
+      } else if (name === 'shita') {
+        mode = DanmakuType.Bottom;
+      } else if (name === 'naka') {
+        mode = DanmakuType.Float;
+      } else if (Object.hasOwn(NiconicoColors, name)) {
+        color = NiconicoColors[name];
+      } else if (/^#[0-9a-f]{6}$/.test(name)) {
+        color = name;
+      } else if (Object.hasOwn(NiconicoFontSizes, name)) {
+        fontSize = NiconicoFontSizes[name];
+      }
+    }
+
+    return [time, mode, color, userId ?? '', text ?? '', {
+      ...extra,
+      fontSize
+    }];
+  }
+}
+
+/**
+ * Parser for CreepyBird's own JSON format, `{ code: 0, data: [...] }`
+ * or a bare array of danmaku tuples
+ */
+class JSONParser extends DanmakuParser {
+  static inputType = 'json';
+
+  static detect(head, contentType, bytes) {
+    return isTextPayload(bytes) && /^[{[]/.test(head);
+  }
+
+  parse(json) {
+    if (Array.isArray(json)) {
+      return {
+        code: 0,
+        data: json
+      };
+    }
+    if (!json || typeof json.code !== 'number' || (json.code === 0 && !Array.isArray(json.data))) {
+      throw new Error('Expected an array or { code, data: [...] }');
+    }
+    return json;
+  }
+}
+
+// Check that the start of a payload contains no binary control characters
+function isTextPayload(bytes) {
+  const length = Math.min(bytes.length, 512);
+  for (let i = 0; i < length; i++) {
+    const byte = bytes[i];
+    if (byte < 0x09 || (byte > 0x0d && byte < 0x20)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Read every `tagName` element of a flat XML document as `{ attributes, text }`
+// with entities decoded. Just enough XML for danmaku files, without depending
+// on the browser's DOMParser; comments are skipped and CDATA is kept verbatim.
+function readXMLElements(xml, tagName) {
+  const elements = [];
+  const pattern = xmlElementPattern(tagName);
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    if (!match[0].startsWith('<!--')) {
+      elements.push(readXMLMatch(match));
+    }
+  }
+  return elements;
+}
+
+/**
+ * Incremental readXMLElements() for a document arriving in chunks
+ */
+class XMLElementStream {
+  constructor(tagName) {
+    this._pattern = xmlElementPattern(tagName);
+    this._buffer = '';  // Text after the last complete element
+  }
+
+  // Add the next chunk of text, returns the elements it completed
+  push(text) {
+    this._buffer += text;
+    const elements = [];
+    let end = 0;
+    let match;
+    this._pattern.lastIndex = 0;
+    while ((match = this._pattern.exec(this._buffer)) !== null) {
+      // A comment opening before the match hasn't closed yet, and the match
+      // may be inside it
+      if (this._buffer.slice(end, match.index).includes('<!--')) {
+        break;
+      }
+      if (!match[0].startsWith('<!--')) {
+        elements.push(readXMLMatch(match));
+      }
+      end = this._pattern.lastIndex;
     }
+    // An element or comment cut off by the chunk boundary is completed by a later push
+    this._buffer = this._buffer.slice(end);
+    return elements;
   }
 }
 
+// Global pattern matching comments and complete `tagName` elements
+function xmlElementPattern(tagName) {
+  return new RegExp(
+    `<!--[\\s\\S]*?-->|<${tagName}((?:\\s+[^\\s=/>]+\\s*=\\s*(?:"[^"]*"|'[^']*'))*)\\s*(?:/>|>([\\s\\S]*?)</${tagName}\\s*>)`,
+    'g'
+  );
+}
+
+function readXMLMatch(match) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of match[1].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = decodeXMLEntities(doubleQuoted ?? singleQuoted);
+  }
+  return { attributes, text: readXMLText(match[2] ?? '') };
+}
+
+// Text content of an element: CDATA sections as is, the rest with tags
+// stripped and entities decoded
+function readXMLText(content) {
+  return content
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map(part => part.startsWith('<![CDATA[')
+      ? part.slice(9, -3)
+      : decodeXMLEntities(part.replace(/<[^>]*>/g, '')))
+    .join('');
+}
+
+const XMLEntities = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+function decodeXMLEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return Object.hasOwn(XMLEntities, name) ? XMLEntities[name] : entity;
+  });
+}
+
+// Map bilibili mode to DanmakuType. Unknown modes show as Float and are
+// counted in `report`.
+function convertBilibiliMode(bilibiliMode, report) {
+  switch (bilibiliMode) {
+    case 1:  // Regular scrolling
+      return DanmakuType.Float;
+    case 4:  // Bottom fixed
+      return DanmakuType.Bottom;
+    case 5:  // Top fixed
+      return DanmakuType.Top;
+    case 6:  // Reverse scrolling
+      return DanmakuType.Reverse;
+    case 7:  // Positioned (advanced)
+      return DanmakuType.Positioned;
+    default:
+      report.unknownMode(bilibiliMode);
+      return DanmakuType.Float;
+  }
+}
+
+/**
+ * Rows a parse patched up or skipped, warned about once per parse rather
+ * than once per row
+ */
+class ParseReport {
+  constructor(format) {
+    this.format = format;
+    this.unknownModes = new Map();  // Unknown mode -> number of rows shown as Float
+    this.failed = 0;                // Rows skipped because they failed to parse
+    this.firstError = null;
+  }
+
+  unknownMode(mode) {
+    this.unknownModes.set(mode, (this.unknownModes.get(mode) || 0) + 1);
+  }
+
+  fail(error) {
+    this.failed++;
+    this.firstError ??= error;
+  }
+
+  // Warn about the rows counted so far, then start counting again
+  flush() {
+    if (this.unknownModes.size > 0) {
+      const modes = [...this.unknownModes].map(([mode, count]) => `${mode} (${count}x)`).join(', ');
+      console.warn(`${this.format}: unknown modes ${modes}, shown as Float`);
+    }
+    if (this.failed > 0) {
+      console.warn(`${this.format}: skipped ${this.failed} danmaku that failed to parse, first error:`, this.firstError);
+    }
+    this.unknownModes.clear();
+    this.failed = 0;
+    this.firstError = null;
+  }
+}
+
+// Registered parser classes by lowercase format name, in registration order
+const parserRegistry = new Map();
+
+// Register a DanmakuParser subclass under a format name usable in load()
+function registerParser(name, parserClass) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Parser name must be a non-empty string');
+  }
+  if (name.toLowerCase() === 'auto') {
+    throw new Error('"auto" is reserved for format detection');
+  }
+  if (typeof parserClass !== 'function' || !(parserClass.prototype instanceof DanmakuParser)) {
+    throw new Error('Parser must be a subclass of DanmakuParser');
+  }
+  parserRegistry.set(name.toLowerCase(), parserClass);
+}
+
+function getParser(name) {
+  return parserRegistry.get(name.toLowerCase()) || null;
+}
+
+// Find the format name of a payload, checking parsers registered last first
+// so applications can take precedence over the built-in formats
+function detectFormat(bytes, contentType = '') {
+  const head = textDecoder.decode(bytes.subarray(0, 4096)).replace(/^\uFEFF/, '').trimStart();
+  const entries = [...parserRegistry.entries()].reverse();
+  for (const [name, parserClass] of entries) {
+    if (parserClass.detect(head, contentType || '', bytes)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+// Convert a raw payload into the input type a parser expects
+function decodePayload(bytes, parserClass) {
+  switch (parserClass.inputType) {
+    case 'arraybuffer':
+      return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    case 'json':
+      return JSON.parse(textDecoder.decode(bytes));
+    default:
+      return textDecoder.decode(bytes);
+  }
+}
+
+registerParser('json', JSONParser);
+registerParser('bilibiliprotobuf', BilibiliProtobufParser);
+registerParser('bilibilixml', BilibiliXMLParser);
+registerParser('niconico', NiconicoParser);
+
+// The parsers above, which parse-worker.js has as well
+const builtinParsers = new Map(parserRegistry);
+
+// Whether `name` still refers to a built-in parser, so payloads in that
+// format can be handed to the parse worker
+function isBuiltinParser(name) {
+  const parserClass = getParser(name);
+  return parserClass !== null && builtinParsers.get(name.toLowerCase()) === parserClass;
+}
+
+// Convert a positioned coordinate to a fraction of the stage. Values written
+// with a decimal point and within [0, 1] are already fractions, anything else
+// is in pixels of the classic player stage.
+function toStageFraction(value, stageSize) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) {
+    return 0;
+  }
+  const isFraction = String(value).includes('.') && number >= 0 && number <= 1;
+  return isFraction ? number : number / stageSize;
+}
+
+// Parse the JSON text of a Bilibili mode 7 danmaku:
+// [x, y, "alphaFrom-alphaTo", duration, text, rotateZ, rotateY,
+//  toX, toY, moveDuration (ms), moveDelay (ms), ...]
+// Returns { text, position } with coordinates as fractions of the video
+// size and times in seconds. Throws if the text isn't valid.
+function parseBilibiliPositioned(raw) {
+  const fields = JSON.parse(raw);
+  if (!Array.isArray(fields) || fields.length < 5) {
+    throw new Error('Positioned danmaku must be a JSON array with at least 5 fields');
+  }
+
+  const x = toStageFraction(fields[0], BilibiliStage.width);
+  const y = toStageFraction(fields[1], BilibiliStage.height);
+  const [alphaFrom, alphaTo] = String(fields[2] ?? '1-1').split('-').map(parseFloat);
+  const duration = parseFloat(fields[3]);
+
+  const position = {
+    x,
+    y,
+    toX: fields.length > 7 ? toStageFraction(fields[7], BilibiliStage.width) : x,
+    toY: fields.length > 8 ? toStageFraction(fields[8], BilibiliStage.height) : y,
+    alphaFrom: Number.isFinite(alphaFrom) ? alphaFrom : 1,
+    alphaTo: Number.isFinite(alphaTo) ? alphaTo : (Number.isFinite(alphaFrom) ? alphaFrom : 1),
+    duration: duration > 0 ? duration : 4.5,
+    rotateZ: parseFloat(fields[5]) || 0,
+    rotateY: parseFloat(fields[6]) || 0,
+    moveDuration: (parseFloat(fields[9]) || 0) / 1000,
+    moveDelay: (parseFloat(fields[10]) || 0) / 1000
+  };
+
+  // "/n" is Bilibili's escaped line break
+  const text = String(fields[4] ?? '').replace(/\/n/g, '\n');
+  return { text, position };
+}
+
 export {
   DanmakuType,
+  BilibiliStage,
+  DanmakuFontSize,
   DanmakuParser,
   BilibiliXMLParser,
+  BilibiliProtobufParser,
+  NiconicoParser,
+  JSONParser,
+  parseBilibiliPositioned,
+  readXMLElements,
+  XMLElementStream,
+  registerParser,
+  getParser,
+  isBuiltinParser,
+  detectFormat,
+  decodePayload,
 }; 
\ No newline at end of file
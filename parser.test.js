@@ -0,0 +1,349 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  DanmakuType,
+  BilibiliXMLParser,
+  BilibiliProtobufParser,
+  NiconicoParser,
+  readXMLElements,
+  XMLElementStream,
+  detectFormat,
+  decodePayload,
+  getParser,
+} from './parser.js';
+
+const textEncoder = new TextEncoder();
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+// Protobuf wire format writers, enough for DmSegMobileReply
+function varint(value) {
+  let rest = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  do {
+    let byte = Number(rest & 0x7fn);
+    rest >>= 7n;
+    if (rest) {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
+  } while (rest);
+  return bytes;
+}
+
+function varintField(field, value) {
+  return [...varint(field << 3), ...varint(value)];
+}
+
+function bytesField(field, bytes) {
+  return [...varint((field << 3) | 2), ...varint(bytes.length), ...bytes];
+}
+
+function stringField(field, text) {
+  return bytesField(field, [...textEncoder.encode(text)]);
+}
+
+// A DmSegMobileReply holding DanmakuElems with the given fields
+function segment(...elems) {
+  return new Uint8Array(elems.flatMap(elem => bytesField(1, elem)));
+}
+
+describe('BilibiliProtobufParser', () => {
+  const parser = new BilibiliProtobufParser();
+
+  it('decodes every field of a DanmakuElem', () => {
+    const bytes = segment([
+      ...varintField(1, 1234567890123456789n),  // id, beyond 2^53
+      ...varintField(2, 12345),                 // progress in ms
+      ...varintField(3, 5),                     // top
+      ...varintField(4, 36),
+      ...varintField(5, 0xff8000),
+      ...stringField(6, 'a1b2c3'),
+      ...stringField(7, '弹幕 ✓'),
+      ...varintField(8, 1700000000),
+      ...varintField(9, 8),
+      ...varintField(11, 1),
+    ]);
+    expect(parser.parse(bytes.buffer)).toEqual({
+      code: 0,
+      data: [[12.345, DanmakuType.Top, '#ff8000', 'a1b2c3', '弹幕 ✓', {
+        id: '1234567890123456789',
+        fontSize: 36,
+        weight: 8,
+        pool: 1,
+        timestamp: 1700000000
+      }]]
+    });
+  });
+
+  it('fills in protobuf defaults for missing fields', () => {
+    const [item] = parser.parse(segment([...stringField(7, 'bare')])).data;
+    expect(item).toEqual([0, DanmakuType.Float, '#ffffff', '', 'bare', {
+      id: null,
+      fontSize: 25,
+      weight: 0,
+      pool: 0,
+      timestamp: 0
+    }]);
+  });
+
+  it('prefers idStr and skips fields it does not know', () => {
+    const bytes = new Uint8Array([
+      ...bytesField(1, [
+        ...varintField(1, 42),
+        ...stringField(10, 'action'),
+        ...varintField(13, 3),
+        ...stringField(12, '42000000000000000001'),
+        ...stringField(7, 'kept'),
+      ]),
+      ...varintField(2, 7),  // DmSegMobileReply.state
+    ]);
+    const { data } = parser.parse(bytes);
+    expect(data).toHaveLength(1);
+    expect(data[0][4]).toBe('kept');
+    expect(data[0][5].id).toBe('42000000000000000001');
+  });
+
+  it('reads positioned danmaku parameters from the content', () => {
+    const [item] = parser.parse(segment([
+      ...varintField(3, 7),
+      ...stringField(7, '[0.5,0.25,"1-0",3,"moving/nline"]'),
+    ])).data;
+    expect(item[1]).toBe(DanmakuType.Positioned);
+    expect(item[4]).toBe('moving\nline');
+    expect(item[5].position).toMatchObject({ x: 0.5, y: 0.25, alphaFrom: 1, alphaTo: 0, duration: 3 });
+  });
+
+  it('skips positioned danmaku with broken parameters and warns once', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const broken = [...varintField(3, 7), ...stringField(7, 'not json')];
+    const { data } = parser.parse(segment(broken, broken, [...stringField(7, 'ok')]));
+    expect(data.map(item => item[4])).toEqual(['ok']);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain('skipped 2 danmaku');
+  });
+
+  it('shows unknown modes as Float and warns once', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const odd = [...varintField(3, 9), ...stringField(7, 'odd')];
+    const { data } = parser.parse(segment(odd, odd));
+    expect(data.map(item => item[1])).toEqual([DanmakuType.Float, DanmakuType.Float]);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain('unknown modes 9 (2x)');
+  });
+
+  it('throws on truncated segments', () => {
+    const bytes = segment([...stringField(7, 'cut off')]);
+    expect(() => parser.parse(bytes.subarray(0, bytes.length - 2))).toThrow('Truncated');
+    expect(() => parser.parse(new Uint8Array([0x0a, 0x01, 0x10]))).toThrow('Truncated varint');
+  });
+
+  it('is detected by content type or its leading elems tag', () => {
+    const bytes = segment([...stringField(7, 'x')]);
+    expect(detectFormat(bytes)).toBe('bilibiliprotobuf');
+    expect(detectFormat(new Uint8Array([0x08, 0x01]), 'application/x-protobuf')).toBe('bilibiliprotobuf');
+    expect(detectFormat(textEncoder.encode('\n[]'))).not.toBe('bilibiliprotobuf');
+  });
+
+  it('parses a payload decoded for it', () => {
+    const bytes = segment([...varintField(2, 1500), ...stringField(7, 'x')]);
+    const ParserClass = getParser('bilibiliprotobuf');
+    const { data } = new ParserClass().parse(decodePayload(bytes, ParserClass));
+    expect(data[0][0]).toBe(1.5);
+  });
+});
+
+describe('NiconicoParser', () => {
+  const parser = new NiconicoParser();
+
+  it('reads legacy XML chats with their mail commands', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<packet>
+  <thread thread="1" />
+  <chat thread="1" no="1" vpos="150" date="1600000000" mail="184" user_id="u1">plain</chat>
+  <chat thread="1" no="2" vpos="300" date="1600000001" mail="ue red big" user_id="u2">top &amp; red</chat>
+  <chat thread="1" no="3" vpos="450" date="1600000002" mail="shita #00ff80 small" user_id="u3">bottom</chat>
+  <chat thread="1" no="4" vpos="500" deleted="1" user_id="u4">gone</chat>
+</packet>`;
+    expect(parser.parse(xml)).toEqual({
+      code: 0,
+      data: [
+        [1.5, DanmakuType.Float, '#ffffff', 'u1', 'plain', { id: '1', timestamp: 1600000000, fontSize: 25 }],
+        [3, DanmakuType.Top, '#ff0000', 'u2', 'top & red', { id: '2', timestamp: 1600000001, fontSize: 36 }],
+        [4.5, DanmakuType.Bottom, '#00ff80', 'u3', 'bottom', { id: '3', timestamp: 1600000002, fontSize: 18 }],
+      ]
+    });
+  });
+
+  it('reads legacy JSON chats', () => {
+    const json = JSON.stringify([
+      { thread: { resultcode: 0 } },
+      { chat: { no: 7, vpos: 1234, date: 1600000000, mail: 'naka cyan', user_id: 'u1', content: 'hello' } },
+      { chat: { no: 8, vpos: 2000, deleted: 1 } },
+    ]);
+    expect(parser.parse(json).data).toEqual([
+      [12.34, DanmakuType.Float, '#00ffff', 'u1', 'hello', { id: 7, timestamp: 1600000000, fontSize: 25 }],
+    ]);
+  });
+
+  it('reads nvcomment threads', () => {
+    const json = {
+      data: {
+        threads: [
+          { fork: 'owner', comments: [] },
+          {
+            fork: 'main',
+            comments: [
+              { id: 'c1', no: 1, vposMs: 2500, body: 'new api', commands: ['shita', 'passionorange'], userId: 'u9', postedAt: '2023-01-01T00:00:00Z' },
+              { no: 2, vposMs: 100, body: 'no id' },
+            ]
+          },
+        ]
+      }
+    };
+    expect(parser.parse(JSON.stringify(json)).data).toEqual([
+      [2.5, DanmakuType.Bottom, '#ff6600', 'u9', 'new api', { id: 'c1', timestamp: 1672531200, fontSize: 25 }],
+      [0.1, DanmakuType.Float, '#ffffff', '', 'no id', { id: 2, timestamp: 0, fontSize: 25 }],
+    ]);
+  });
+
+  it('ignores mail commands that are only inherited names', () => {
+    const json = JSON.stringify([
+      { chat: { no: 1, vpos: 100, mail: 'constructor __proto__', content: 'a' } },
+    ]);
+    expect(parser.parse(json).data).toEqual([
+      [1, DanmakuType.Float, '#ffffff', '', 'a', { id: 1, timestamp: 0, fontSize: 25 }],
+    ]);
+  });
+
+  it('skips chats without a valid vpos and warns once', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const xml = '<packet><chat>a</chat><chat vpos="x">b</chat><chat vpos="100">c</chat></packet>';
+    expect(parser.parse(xml).data.map(item => item[4])).toEqual(['c']);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain('Niconico: skipped 2 danmaku');
+  });
+
+  it('rejects JSON in another shape', () => {
+    expect(() => parser.parse('{"comments":[]}')).toThrow('Unrecognized niconico comment format');
+  });
+
+  it('is detected from packet XML and chat or thread JSON', () => {
+    expect(detectFormat(textEncoder.encode('<?xml version="1.0"?>\n<packet><chat vpos="1">a</chat></packet>'))).toBe('niconico');
+    expect(detectFormat(textEncoder.encode('[{"chat":{"vpos":1}}]'))).toBe('niconico');
+    expect(detectFormat(textEncoder.encode('{"data":{"threads":[]}}'))).toBe('niconico');
+    expect(detectFormat(textEncoder.encode('<i><d p="1,1,25,0">a</d></i>'))).not.toBe('niconico');
+  });
+});
+
+describe('readXMLElements', () => {
+  it('decodes entities in attributes and text', () => {
+    const xml = `<i><d p="a&amp;b" q='&quot;x&apos;'>&lt;3 &#72;&#x69; &#x1F600; &nbsp; &#x110000;</d></i>`;
+    expect(readXMLElements(xml, 'd')).toEqual([{
+      attributes: { p: 'a&b', q: '"x\'' },
+      text: '<3 Hi \u{1F600} &nbsp; &#x110000;'
+    }]);
+  });
+
+  it('keeps names that are not XML entities, inherited ones included', () => {
+    const xml = '<d p="&constructor;">&toString; &hasOwnProperty;</d>';
+    expect(readXMLElements(xml, 'd')).toEqual([{
+      attributes: { p: '&constructor;' },
+      text: '&toString; &hasOwnProperty;'
+    }]);
+  });
+
+  it('keeps CDATA sections as they are', () => {
+    const xml = '<i><d p="1">before <![CDATA[<b>&amp;</b> ]]]]> after</d></i>';
+    expect(readXMLElements(xml, 'd')[0].text).toBe('before <b>&amp;</b> ]] after');
+  });
+
+  it('strips tags inside the text', () => {
+    expect(readXMLElements('<d p="1">a<br/>b<i>c</i></d>', 'd')[0].text).toBe('abc');
+  });
+
+  it('skips elements inside comments', () => {
+    const xml = '<i><d p="1">a</d><!-- <d p="2">hidden</d> --><d p="3">b</d></i>';
+    expect(readXMLElements(xml, 'd').map(element => element.text)).toEqual(['a', 'b']);
+  });
+
+  it('reads self-closing elements and only the given tag', () => {
+    const xml = '<i><dd p="0">no</dd><d  p = "1" /><data>no</data><d p="2"></d ></i>';
+    expect(readXMLElements(xml, 'd')).toEqual([
+      { attributes: { p: '1' }, text: '' },
+      { attributes: { p: '2' }, text: '' },
+    ]);
+  });
+});
+
+describe('XMLElementStream', () => {
+  const xml = '<?xml version="1.0"?><i><d p="1">a &amp; b</d><!-- <d p="2">hidden</d> -->' +
+    '<d p="3"><![CDATA[<c>]]></d><d p="4"/><d p="5">e</d></i>';
+
+  it('reads the same elements as readXMLElements, however the text is cut', () => {
+    const expected = readXMLElements(xml, 'd');
+    for (const size of [1, 2, 5, 13, xml.length]) {
+      const stream = new XMLElementStream('d');
+      const elements = [];
+      for (let i = 0; i < xml.length; i += size) {
+        elements.push(...stream.push(xml.slice(i, i + size)));
+      }
+      expect(elements).toEqual(expected);
+    }
+  });
+
+  it('returns elements as soon as they are complete', () => {
+    const stream = new XMLElementStream('d');
+    expect(stream.push('<i><d p="1">a</d><d p="2">b')).toEqual([{ attributes: { p: '1' }, text: 'a' }]);
+    expect(stream.push('</d>')).toEqual([{ attributes: { p: '2' }, text: 'b' }]);
+  });
+});
+
+describe('BilibiliXMLParser', () => {
+  const xml = '<?xml version="1.0" encoding="UTF-8"?>\n<!-- exported -->\n<i>' +
+    '<d p="1.5,1,25,16711680,1600000000,0,abc,123,5">scroll</d>' +
+    '<d p="2,9,25,16777215,0,0,abc,124">odd</d>' +
+    '<d>no p</d>' +
+    '<d p="3,9,25,16777215,0,0,abc,125">odd again</d>' +
+    '</i>';
+
+  it('parses rows and skips broken ones', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { data } = new BilibiliXMLParser().parse(xml);
+    expect(data[0]).toEqual([1.5, DanmakuType.Float, '#ff0000', 'abc', 'scroll', {
+      fontSize: 25,
+      timestamp: 1600000000,
+      pool: 0,
+      id: '123',
+      weight: 5
+    }]);
+    expect(data.map(item => item[4])).toEqual(['scroll', 'odd', 'odd again']);
+  });
+
+  it('warns once per parse', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    new BilibiliXMLParser().parse(xml);
+    expect(warn.mock.calls.map(call => call[0])).toEqual([
+      'Bilibili XML: unknown modes 9 (2x), shown as Float',
+      'Bilibili XML: skipped 1 danmaku that failed to parse, first error:',
+    ]);
+  });
+
+  it('warns once a stream ends', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const stream = new BilibiliXMLParser().createStream();
+    const data = [];
+    for (let i = 0; i < xml.length; i += 10) {
+      data.push(...stream.push(xml.slice(i, i + 10)));
+    }
+    expect(warn).not.toHaveBeenCalled();
+    stream.end();
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(data).toEqual(new BilibiliXMLParser().parse(xml).data);
+  });
+
+  it('is detected after a declaration and comments', () => {
+    expect(detectFormat(textEncoder.encode(xml))).toBe('bilibilixml');
+  });
+});
@@ -0,0 +1,677 @@
+import { DanmakuFontSize } from './parser.js';
+
+/**
+ * Enum for available rendering backends
+ */
+const RendererType = {
+  DOM: 'dom',         // One absolutely positioned element per danmaku
+  Canvas: 'canvas',   // All danmaku drawn onto a single canvas
+};
+
+/**
+ * Base class for a danmaku on screen, regardless of rendering backend
+ */
+class DanmakuItem {
+  constructor(danmaku, creepyBird) {
+    if (!danmaku) {
+      throw new Error('Danmaku object is required');
+    }
+    if (!creepyBird) {
+      throw new Error('CreepyBird instance is required');
+    }
+    if (!creepyBird.overlayElement) {
+      throw new Error('CreepyBird overlay element is not initialized');
+    }
+
+    this.danmaku = danmaku;
+    this._creepyBird = creepyBird;
+    this.count = 1;         // Number of identical danmaku merged into this item
+    this.shownAt = null;    // Playback time the item appeared at
+  }
+
+  // Text to display, with a "×N" badge when duplicates were merged
+  _label() {
+    return this.count > 1 ? `${this.danmaku.text} ×${this.count}` : this.danmaku.text;
+  }
+
+  // Update the merged duplicate count
+  setCount(count) {
+    this.count = count;
+  }
+
+  // Font size in pixels: the configured base size scaled by the danmaku's
+  // own size relative to Bilibili's medium size
+  _fontSize() {
+    const size = this.danmaku.fontSize || DanmakuFontSize.Medium;
+    return this._creepyBird._fontSize * size / DanmakuFontSize.Medium;
+  }
+
+  // Re-read font and text styling from the CreepyBird options
+  applyStyle() {}
+
+  // Get the width of the item in pixels
+  getLength() {
+    throw new Error('getLength() must be implemented by subclass');
+  }
+
+  // Get the current right edge relative to the overlay in pixels
+  getRight() {
+    throw new Error('getRight() must be implemented by subclass');
+  }
+
+  // Get the current left edge relative to the overlay in pixels
+  getLeft() {
+    throw new Error('getLeft() must be implemented by subclass');
+  }
+
+  // Set the vertical position in pixels
+  setTop(top) {
+    throw new Error('setTop() must be implemented by subclass');
+  }
+
+  // Show the item at a fixed horizontal position
+  place(left) {
+    throw new Error('place() must be implemented by subclass');
+  }
+
+  // Show the item and scroll it horizontally from `from` to `to` over
+  // `duration` seconds of media time, starting `elapsed` seconds in and
+  // advancing at `rate` times real time
+  scroll(from, to, duration, elapsed = 0, rate = 1) {
+    throw new Error('scroll() must be implemented by subclass');
+  }
+
+  // Show a positioned danmaku following `motion`: pixel coordinates `x`, `y`
+  // moving to `toX`, `toY` over `moveDuration` seconds after `moveDelay`,
+  // opacity fading from `alphaFrom` to `alphaTo` and rotation `rotateZ`,
+  // `rotateY` in degrees, for `duration` seconds of media time
+  animate(motion, elapsed = 0, rate = 1) {
+    throw new Error('animate() must be implemented by subclass');
+  }
+
+  // Change the speed of the scrolling animation to follow the playback rate
+  setRate(rate) {}
+
+  // Check whether the scrolling animation is over
+  isFinished() {
+    throw new Error('isFinished() must be implemented by subclass');
+  }
+
+  pause() {}
+
+  play() {}
+
+  // Release any resources held by the item
+  remove() {}
+}
+
+/**
+ * Danmaku rendered as an element borrowed from its DOMRenderer's pool
+ */
+class DOMDanmakuItem extends DanmakuItem {
+  constructor(danmaku, creepyBird, renderer) {
+    super(danmaku, creepyBird);
+
+    this._overlayElement = creepyBird.overlayElement;
+    this._renderer = renderer;
+    this._animation = null;  // Web Animation moving the element, if any
+    this._width = null;      // Measured offsetWidth, null until read or after the text or style changed
+    this.element = renderer.acquireElement();
+
+    // Initialize the element with danmaku properties
+    this.element.textContent = this._label();
+    this.element.style.color = danmaku.color;
+    this.applyStyle();
+  }
+
+  applyStyle() {
+    const style = this._creepyBird._style;
+    this._width = null;
+    this.element.style.fontFamily = style.fontFamily;
+    this.element.style.fontSize = `${this._fontSize()}px`;
+    this.element.style.fontWeight = String(style.fontWeight);
+    this.element.style.opacity = String(style.opacity);
+    this.element.style.webkitTextStroke = style.strokeWidth > 0
+      ? `${style.strokeWidth}px ${style.strokeColor}`
+      : '';
+    this.element.style.textShadow = style.shadowBlur > 0
+      ? `0 0 ${style.shadowBlur}px ${style.shadowColor}`
+      : '';
+  }
+
+  // Reads layout only the first time after a change
+  getLength() {
+    if (this._width === null) {
+      this._width = this.element.offsetWidth;
+    }
+    return this._width;
+  }
+
+  setCount(count) {
+    super.setCount(count);
+    this._width = null;
+    this.element.textContent = this._label();
+  }
+
+  getRight() {
+    const itemRect = this.element.getBoundingClientRect();
+    const overlayRect = this._overlayElement.getBoundingClientRect();
+    return itemRect.right - overlayRect.left;
+  }
+
+  getLeft() {
+    const itemRect = this.element.getBoundingClientRect();
+    const overlayRect = this._overlayElement.getBoundingClientRect();
+    return itemRect.left - overlayRect.left;
+  }
+
+  setTop(top) {
+    this.element.style.top = `${top}px`;
+  }
+
+  place(left) {
+    this.element.style.left = `${left}px`;
+    this.element.style.visibility = 'visible';
+  }
+
+  scroll(from, to, duration, elapsed = 0, rate = 1) {
+    this.element.style.left = '0';
+    this.element.style.visibility = 'visible';
+
+    // Translate rather than animate `left` so no layout is needed per frame
+    this._startAnimation([
+      { transform: `translateX(${from}px)` },
+      { transform: `translateX(${to}px)` }
+    ], duration, elapsed, rate);
+  }
+
+  animate(motion, elapsed = 0, rate = 1) {
+    const opacity = this._creepyBird._style.opacity;
+    this.element.style.left = '0';
+    this.element.style.top = '0';
+    this.element.style.whiteSpace = 'pre';  // Positioned text may span lines
+    this.element.style.transformOrigin = '0 0';
+    this.element.style.visibility = 'visible';
+
+    const keyframes = positionedKeyframes(motion).map(frame => ({
+      offset: frame.offset,
+      opacity: frame.alpha * opacity,
+      transform: `translate(${frame.x}px, ${frame.y}px) rotateZ(${motion.rotateZ}deg) rotateY(${motion.rotateY}deg)`
+    }));
+    this._startAnimation(keyframes, motion.duration, elapsed, rate);
+  }
+
+  // Run keyframes over `duration` media seconds, starting `elapsed` seconds in
+  _startAnimation(keyframes, duration, elapsed, rate) {
+    this._animation = this.element.animate(keyframes, {
+      duration: duration * 1000,
+      easing: 'linear',
+      fill: 'forwards'
+    });
+    this._animation.currentTime = elapsed * 1000;
+    this._animation.playbackRate = rate;
+  }
+
+  setRate(rate) {
+    if (this._animation) {
+      this._animation.playbackRate = rate;
+    }
+  }
+
+  isFinished() {
+    return !this._animation || this._animation.playState === 'finished';
+  }
+
+  pause() {
+    if (this._animation) {
+      this._animation.pause();
+    }
+  }
+
+  play() {
+    if (this._animation) {
+      this._animation.play();
+    }
+  }
+
+  // Stop the animation and hand the element back to the pool. The item must
+  // not be used afterwards, the element may already belong to another item.
+  remove() {
+    if (!this.element) {
+      return;
+    }
+    if (this._animation) {
+      this._animation.cancel();
+      this._animation = null;
+    }
+    this._renderer.releaseElement(this.element);
+    this.element = null;
+  }
+}
+
+/**
+ * Danmaku drawn by a CanvasRenderer, animated by its own clock
+ */
+class CanvasDanmakuItem extends DanmakuItem {
+  constructor(danmaku, creepyBird, renderer) {
+    super(danmaku, creepyBird);
+
+    this._renderer = renderer;
+    this._width = renderer.measureText(danmaku.text, this._fontSize());
+    this._top = 0;
+    this._left = 0;
+    this._from = 0;
+    this._to = 0;
+    this._duration = 0;
+    this._startTime = null;     // performance.now() when _baseElapsed was taken
+    this._baseElapsed = 0;      // Media seconds elapsed at _startTime
+    this._rate = 1;             // Media seconds per real second
+    this._paused = false;
+    this._motion = null;        // Set for positioned danmaku
+    this.visible = false;
+  }
+
+  getLength() {
+    return this._width;
+  }
+
+  setCount(count) {
+    super.setCount(count);
+    this._width = this._renderer.measureText(this._label(), this._fontSize());
+  }
+
+  applyStyle() {
+    this._width = this._renderer.measureText(this._label(), this._fontSize());
+  }
+
+  getRight() {
+    return this._currentLeft() + this._width;
+  }
+
+  getLeft() {
+    return this._currentLeft();
+  }
+
+  setTop(top) {
+    this._top = top;
+  }
+
+  place(left) {
+    this._left = left;
+    this.visible = true;
+    this._renderer.add(this);
+  }
+
+  scroll(from, to, duration, elapsed = 0, rate = 1) {
+    this._from = from;
+    this._to = to;
+    this._duration = duration;
+    this._startTime = performance.now();
+    this._baseElapsed = elapsed;
+    this._rate = rate;
+    this.visible = true;
+    this._renderer.add(this);
+  }
+
+  animate(motion, elapsed = 0, rate = 1) {
+    this._motion = motion;
+    this._frames = positionedKeyframes(motion);
+    this.scroll(0, 0, motion.duration, elapsed, rate);
+  }
+
+  setRate(rate) {
+    if (this._startTime !== null) {
+      this._baseElapsed = this._elapsed();
+      this._startTime = performance.now();
+    }
+    this._rate = rate;
+  }
+
+  // Media seconds since scrolling started, frozen while paused
+  _elapsed() {
+    if (this._paused) {
+      return this._baseElapsed;
+    }
+    return this._baseElapsed + (performance.now() - this._startTime) / 1000 * this._rate;
+  }
+
+  _currentLeft() {
+    if (this._startTime === null) {
+      return this._left;
+    }
+    if (this._duration <= 0) {
+      return this._to;
+    }
+    const progress = Math.min(this._elapsed() / this._duration, 1);
+    return this._from + (this._to - this._from) * progress;
+  }
+
+  isFinished() {
+    return this._startTime === null || this._elapsed() >= this._duration;
+  }
+
+  pause() {
+    if (this._startTime !== null && !this._paused) {
+      this._baseElapsed = this._elapsed();
+      this._paused = true;
+    }
+  }
+
+  play() {
+    if (this._paused) {
+      this._startTime = performance.now();
+      this._paused = false;
+    }
+  }
+
+  draw(ctx, stroke) {
+    if (!this.visible) {
+      return;
+    }
+    if (this._motion) {
+      this._drawPositioned(ctx, stroke);
+      return;
+    }
+    const left = this._currentLeft();
+    ctx.font = this._renderer.font(this._fontSize());
+    ctx.fillStyle = this.danmaku.color;
+    const label = this._label();
+    if (stroke) {
+      ctx.strokeText(label, left, this._top);
+    }
+    ctx.fillText(label, left, this._top);
+  }
+
+  // Draw a positioned danmaku at its current point of motion, one line of
+  // text at a time. Rotation around Y is approximated by squashing the width.
+  _drawPositioned(ctx, stroke) {
+    const progress = this._duration > 0 ? Math.min(this._elapsed() / this._duration, 1) : 1;
+    const frame = interpolateFrames(this._frames, progress);
+    const fontSize = this._fontSize();
+    ctx.save();
+    ctx.globalAlpha *= frame.alpha;
+    ctx.translate(frame.x, frame.y);
+    ctx.rotate(this._motion.rotateZ * Math.PI / 180);
+    ctx.scale(Math.cos(this._motion.rotateY * Math.PI / 180), 1);
+    ctx.font = this._renderer.font(fontSize);
+    ctx.fillStyle = this.danmaku.color;
+    this._label().split('\n').forEach((line, i) => {
+      const top = i * fontSize * 1.2;
+      if (stroke) {
+        ctx.strokeText(line, 0, top);
+      }
+      ctx.fillText(line, 0, top);
+    });
+    ctx.restore();
+  }
+
+  remove() {
+    this.visible = false;
+    this._renderer.delete(this);
+  }
+}
+
+/**
+ * Base class for rendering backends
+ */
+class DanmakuRenderer {
+  constructor(creepyBird) {
+    this._creepyBird = creepyBird;
+  }
+
+  // Called once the overlay element has been created
+  mount(overlayElement) {}
+
+  // Called before the overlay element is removed
+  unmount() {}
+
+  // Called whenever the overlay changes size
+  resize(width, height) {}
+
+  createItem(danmaku) {
+    throw new Error('createItem() must be implemented by subclass');
+  }
+
+  // Called when danmaku stop moving or get hidden
+  pause() {}
+
+  // Called when danmaku are shown and moving, starting out paused after mount()
+  resume() {}
+}
+
+/**
+ * Renders every danmaku as an absolutely positioned element in the overlay,
+ * reusing elements of danmaku that left the screen
+ */
+class DOMRenderer extends DanmakuRenderer {
+  constructor(creepyBird) {
+    super(creepyBird);
+    this._overlayElement = null;
+    this._pool = [];  // Hidden elements ready for reuse, at most MaxPooledElements
+  }
+
+  mount(overlayElement) {
+    this._overlayElement = overlayElement;
+  }
+
+  unmount() {
+    this._pool = [];  // Removed along with the overlay
+    this._overlayElement = null;
+  }
+
+  createItem(danmaku) {
+    return new DOMDanmakuItem(danmaku, this._creepyBird, this);
+  }
+
+  // Take a hidden element from the pool, or create one in the overlay
+  acquireElement() {
+    if (this._pool.length > 0) {
+      return this._pool.pop();
+    }
+    const element = document.createElement('div');
+    resetElement(element);
+    this._overlayElement.appendChild(element);
+    return element;
+  }
+
+  // Hide an element and keep it for reuse, removing it if the pool is full
+  releaseElement(element) {
+    if (this._pool.length >= MaxPooledElements || element.parentNode !== this._overlayElement) {
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+      return;
+    }
+    resetElement(element);
+    this._pool.push(element);
+  }
+}
+
+// Elements a DOMRenderer keeps around for reuse
+const MaxPooledElements = 200;
+
+// Put a danmaku element back in its initial, hidden state
+function resetElement(element) {
+  element.textContent = '';
+  element.style.position = 'absolute';
+  element.style.left = '0';
+  element.style.top = '0';
+  element.style.whiteSpace = 'nowrap';
+  element.style.userSelect = 'none';
+  element.style.visibility = 'hidden';
+  element.style.transform = '';
+  element.style.transformOrigin = '';
+}
+
+/**
+ * Renders all active danmaku onto a single canvas in the overlay
+ */
+class CanvasRenderer extends DanmakuRenderer {
+  constructor(creepyBird) {
+    super(creepyBird);
+    this.canvas = null;
+    this._ctx = null;
+    this._items = new Set();  // Items currently drawn
+    this._frameId = null;     // requestAnimationFrame handle
+    this._width = 0;
+    this._height = 0;
+  }
+
+  mount(overlayElement) {
+    this.canvas = document.createElement('canvas');
+    this.canvas.style.position = 'absolute';
+    this.canvas.style.left = '0';
+    this.canvas.style.top = '0';
+    this.canvas.style.width = '100%';
+    this.canvas.style.height = '100%';
+    this._ctx = this.canvas.getContext('2d');
+    overlayElement.appendChild(this.canvas);
+  }
+
+  unmount() {
+    this._stopLoop();
+    this._items.clear();
+    if (this.canvas && this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+    this.canvas = null;
+    this._ctx = null;
+  }
+
+  resize(width, height) {
+    if (!this.canvas) {
+      return;
+    }
+    const ratio = window.devicePixelRatio || 1;
+    this._width = width;
+    this._height = height;
+    this.canvas.width = Math.round(width * ratio);
+    this.canvas.height = Math.round(height * ratio);
+    this._ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    this._draw();
+  }
+
+  createItem(danmaku) {
+    return new CanvasDanmakuItem(danmaku, this._creepyBird, this);
+  }
+
+  // Font shorthand matching the DOM renderer's styling
+  font(fontSize) {
+    const style = this._creepyBird._style;
+    return `${style.fontWeight} ${fontSize}px ${style.fontFamily}`;
+  }
+
+  measureText(text, fontSize) {
+    this._ctx.font = this.font(fontSize);
+    return this._ctx.measureText(text).width;
+  }
+
+  add(item) {
+    this._items.add(item);
+  }
+
+  delete(item) {
+    this._items.delete(item);
+  }
+
+  pause() {
+    this._stopLoop();
+    this._draw();
+  }
+
+  resume() {
+    this._startLoop();
+  }
+
+  _startLoop() {
+    if (this._frameId !== null) {
+      return;
+    }
+    const frame = () => {
+      this._draw();
+      this._frameId = requestAnimationFrame(frame);
+    };
+    this._frameId = requestAnimationFrame(frame);
+  }
+
+  _stopLoop() {
+    if (this._frameId !== null) {
+      cancelAnimationFrame(this._frameId);
+      this._frameId = null;
+    }
+  }
+
+  _draw() {
+    if (!this._ctx) {
+      return;
+    }
+    const ctx = this._ctx;
+    const style = this._creepyBird._style;
+    ctx.clearRect(0, 0, this._width, this._height);
+    ctx.textBaseline = 'top';
+    ctx.lineJoin = 'round';
+    ctx.globalAlpha = style.opacity;
+    ctx.lineWidth = style.strokeWidth * 2;  // Half of it is covered by the fill
+    ctx.strokeStyle = style.strokeColor;
+    ctx.shadowBlur = style.shadowBlur;
+    ctx.shadowColor = style.shadowBlur > 0 ? style.shadowColor : 'transparent';
+    this._items.forEach(item => item.draw(ctx, style.strokeWidth > 0));
+  }
+}
+
+// Keyframes `{ offset, x, y, alpha }` of a positioned danmaku's motion, with
+// offsets as fractions of its display duration. Alpha fades linearly over the
+// whole duration while the position only moves during the motion window.
+function positionedKeyframes(motion) {
+  const duration = motion.duration;
+  const moveStart = duration > 0 ? Math.min(motion.moveDelay / duration, 1) : 0;
+  const moveEnd = duration > 0 ? Math.min((motion.moveDelay + motion.moveDuration) / duration, 1) : 0;
+  const alphaAt = offset => motion.alphaFrom + (motion.alphaTo - motion.alphaFrom) * offset;
+  return [
+    { offset: 0, x: motion.x, y: motion.y, alpha: alphaAt(0) },
+    { offset: moveStart, x: motion.x, y: motion.y, alpha: alphaAt(moveStart) },
+    { offset: moveEnd, x: motion.toX, y: motion.toY, alpha: alphaAt(moveEnd) },
+    { offset: 1, x: motion.toX, y: motion.toY, alpha: alphaAt(1) }
+  ];
+}
+
+// Linear interpolation between keyframes at `offset`
+function interpolateFrames(frames, offset) {
+  for (let i = 1; i < frames.length; i++) {
+    const from = frames[i - 1];
+    const to = frames[i];
+    if (offset <= to.offset) {
+      const span = to.offset - from.offset;
+      const t = span > 0 ? (offset - from.offset) / span : 1;
+      return {
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t,
+        alpha: from.alpha + (to.alpha - from.alpha) * t
+      };
+    }
+  }
+  return frames[frames.length - 1];
+}
+
+// Create the rendering backend for the given RendererType
+function createRenderer(type, creepyBird) {
+  switch (type) {
+    case RendererType.DOM:
+      return new DOMRenderer(creepyBird);
+    case RendererType.Canvas:
+      return new CanvasRenderer(creepyBird);
+    default:
+      throw new Error(`Unknown renderer type: ${type}`);
+  }
+}
+
+export {
+  RendererType,
+  DanmakuItem,
+  DOMDanmakuItem,
+  CanvasDanmakuItem,
+  DanmakuRenderer,
+  DOMRenderer,
+  CanvasRenderer,
+  createRenderer,
+};
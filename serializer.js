@@ -0,0 +1,424 @@
+import { DanmakuType, DanmakuFontSize, BilibiliStage } from './parser.js';
+import { LaneLayout } from './layout.js';
+
+/**
+ * Base class for danmaku format serializers
+ *
+ * serialize() turns an array of Danmaku, sorted by time, into the text of
+ * the format.
+ */
+class DanmakuSerializer {
+  // MIME type of the serialized text
+  static contentType = 'text/plain';
+
+  serialize(danmakus, options = {}) {
+    throw new Error('serialize() must be implemented by subclass');
+  }
+}
+
+/**
+ * Serializer for the `{ code: 0, data: [...] }` JSON format read by JSONParser
+ */
+class JSONSerializer extends DanmakuSerializer {
+  static contentType = 'application/json';
+
+  serialize(danmakus) {
+    return JSON.stringify({
+      code: 0,
+      data: danmakus.map(danmaku => danmaku.toTuple())
+    });
+  }
+}
+
+/**
+ * Serializer for BiliBili's XML format, read back by BilibiliXMLParser
+ */
+class BilibiliXMLSerializer extends DanmakuSerializer {
+  static contentType = 'application/xml';
+
+  serialize(danmakus) {
+    const lines = danmakus.map(danmaku => {
+      // time,mode,fontSize,color,timestamp,pool,userId,rowId,weight
+      const p = [
+        danmaku.time,
+        convertToBilibiliMode(danmaku.mode),
+        danmaku.fontSize,
+        colorToInt(danmaku.color),
+        danmaku.timestamp,
+        danmaku.pool,
+        danmaku.userId ?? '',
+        danmaku.id ?? '',
+        danmaku.weight
+      ].join(',');
+      const text = danmaku.mode === DanmakuType.Positioned && danmaku.position
+        ? formatBilibiliPositioned(danmaku.text, danmaku.position)
+        : danmaku.text;
+      return `  <d p="${escapeXML(p)}">${escapeXML(text)}</d>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<i>',
+      '  <chatserver>chat.bilibili.com</chatserver>',
+      `  <maxlimit>${danmakus.length}</maxlimit>`,
+      ...lines,
+      '</i>',
+      ''
+    ].join('\n');
+  }
+}
+
+/**
+ * Serializer for ASS subtitles, for burning danmaku into videos or playing
+ * them in mpv and similar players, with lanes laid out like danmaku2ass
+ *
+ * Options: `width` and `height` of the video (1920x1080), `fontFamily`,
+ * `fontSize` in pixels for medium danmaku (38), `lineSpacing` (1.2),
+ * `lineMargin` between scrolling danmaku (20), `opacity` (1),
+ * `scrollDuration` and `fixedDuration` in seconds (8 and 5), `displayArea`
+ * as a fraction of the height (1), `bold` (true), `outline` width (1) and
+ * `measureText(text, fontSize)` returning widths in pixels, estimated from
+ * character counts by default.
+ */
+class ASSSerializer extends DanmakuSerializer {
+  static contentType = 'text/x-ssa';
+
+  serialize(danmakus, options = {}) {
+    const config = {
+      width: 1920,
+      height: 1080,
+      fontFamily: 'sans-serif',
+      fontSize: 38,
+      lineSpacing: 1.2,
+      lineMargin: 20,
+      opacity: 1,
+      scrollDuration: 8,
+      fixedDuration: 5,
+      displayArea: 1,
+      bold: true,
+      outline: 1,
+      measureText: estimateTextWidth,
+      ...options
+    };
+    if (!(config.width > 0) || !(config.height > 0)) {
+      throw new Error('ASS width and height must be positive');
+    }
+
+    const lineHeight = Math.ceil(config.fontSize * config.lineSpacing);
+    const lanes = Math.max(Math.floor(config.height * config.displayArea / lineHeight), 1);
+    const layout = new LaneLayout(lanes, config.lineMargin);
+    const topFreeAt = new Array(lanes).fill(-Infinity);     // Time each top lane frees up
+    const bottomFreeAt = new Array(lanes).fill(-Infinity);  // Same, counted from the bottom
+
+    const events = [];
+    danmakus.forEach(danmaku => {
+      const event = this._event(danmaku, config, { layout, topFreeAt, bottomFreeAt, lineHeight });
+      if (event) {
+        events.push(event);
+      }
+    });
+
+    return [
+      this._header(config),
+      ...events,
+      ''
+    ].join('\n');
+  }
+
+  _header(config) {
+    const alpha = assAlpha(config.opacity);
+    const style = [
+      'Danmaku',
+      config.fontFamily,
+      config.fontSize,
+      `&H${alpha}FFFFFF`,
+      `&H${alpha}FFFFFF`,
+      `&H${alpha}000000`,
+      `&H${alpha}000000`,
+      config.bold ? -1 : 0,
+      0, 0, 0, 100, 100, 0, 0, 1,
+      config.outline,
+      0, 7, 0, 0, 0, 0
+    ].join(', ');
+
+    return [
+      '[Script Info]',
+      'ScriptType: v4.00+',
+      `PlayResX: ${config.width}`,
+      `PlayResY: ${config.height}`,
+      'WrapStyle: 2',
+      'ScaledBorderAndShadow: yes',
+      'YCbCr Matrix: None',
+      '',
+      '[V4+ Styles]',
+      'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+      `Style: ${style}`,
+      '',
+      '[Events]',
+      'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+    ].join('\n');
+  }
+
+  // Dialogue line of one danmaku, or null if it can't be placed
+  _event(danmaku, config, state) {
+    const scale = (danmaku.fontSize || DanmakuFontSize.Medium) / DanmakuFontSize.Medium;
+    const fontSize = Math.round(config.fontSize * scale);
+    const width = config.measureText(danmaku.text, fontSize);
+    // Lanes are sized for the base font, larger text takes several
+    const span = Math.min(Math.max(Math.ceil(fontSize * config.lineSpacing / state.lineHeight), 1), state.layout.lanes);
+    const tags = [];
+    if (scale !== 1) {
+      tags.push(`\\fs${fontSize}`);
+    }
+    tags.push(...colorTags(danmaku.color));
+
+    let duration;
+    switch (danmaku.mode) {
+      case DanmakuType.Float:
+      case DanmakuType.Reverse: {
+        duration = config.scrollDuration;
+        const entry = {
+          width,
+          stageWidth: config.width,
+          duration,
+          start: danmaku.time,
+          reverse: danmaku.mode === DanmakuType.Reverse
+        };
+        let lane = state.layout.pick(entry, danmaku.time, span);
+        if (lane === null) {
+          lane = state.layout.pickOverlap(entry, danmaku.time, span);
+        }
+        state.layout.add(lane, entry, span);
+        const y = lane * state.lineHeight;
+        const [from, to] = entry.reverse ? [-width, config.width] : [config.width, -width];
+        tags.unshift(`\\move(${round(from)}, ${y}, ${round(to)}, ${y})`);
+        break;
+      }
+      case DanmakuType.Top:
+      case DanmakuType.Bottom: {
+        duration = config.fixedDuration;
+        const freeAt = danmaku.mode === DanmakuType.Top ? state.topFreeAt : state.bottomFreeAt;
+        const lane = pickFixedLanes(freeAt, danmaku.time, span);
+        freeAt.fill(danmaku.time + duration, lane, lane + span);
+        const y = danmaku.mode === DanmakuType.Top
+          ? lane * state.lineHeight
+          : config.height - (lane + span) * state.lineHeight;
+        tags.unshift(`\\an8\\pos(${round(config.width / 2)}, ${y})`);
+        break;
+      }
+      case DanmakuType.Positioned: {
+        const position = danmaku.position;
+        if (!position) {
+          return null;
+        }
+        duration = position.duration;
+        const moveStart = Math.round(position.moveDelay * 1000);
+        const moveEnd = Math.round((position.moveDelay + position.moveDuration) * 1000);
+        const durationMs = Math.round(duration * 1000);
+        tags.unshift(
+          `\\move(${round(position.x * config.width)}, ${round(position.y * config.height)}, ` +
+          `${round(position.toX * config.width)}, ${round(position.toY * config.height)}, ${moveStart}, ${moveEnd})`,
+          `\\fade(${assAlphaByte(position.alphaFrom)}, ${assAlphaByte(position.alphaTo)}, ${assAlphaByte(position.alphaTo)}, ` +
+          `0, ${durationMs}, ${durationMs}, ${durationMs})`
+        );
+        if (position.rotateZ) {
+          tags.push(`\\frz${round(-position.rotateZ)}`);  // ASS rotates counterclockwise
+        }
+        if (position.rotateY) {
+          tags.push(`\\fry${round(position.rotateY)}`);
+        }
+        break;
+      }
+      default:
+        return null;
+    }
+
+    const start = formatASSTime(danmaku.time);
+    const end = formatASSTime(danmaku.time + duration);
+    return `Dialogue: 2,${start},${end},Danmaku,,0000,0000,0000,,{${tags.join('')}}${escapeASS(danmaku.text)}`;
+  }
+}
+
+// Map DanmakuType back to a bilibili mode
+function convertToBilibiliMode(mode) {
+  switch (mode) {
+    case DanmakuType.Bottom:
+      return 4;
+    case DanmakuType.Top:
+      return 5;
+    case DanmakuType.Reverse:
+      return 6;
+    case DanmakuType.Positioned:
+      return 7;
+    default:
+      return 1;
+  }
+}
+
+// Write positioned danmaku parameters as Bilibili's mode 7 JSON text, the
+// inverse of parseBilibiliPositioned()
+function formatBilibiliPositioned(text, position) {
+  return JSON.stringify([
+    formatStageCoordinate(position.x, BilibiliStage.width),
+    formatStageCoordinate(position.y, BilibiliStage.height),
+    `${position.alphaFrom}-${position.alphaTo}`,
+    String(position.duration),
+    text.replace(/\n/g, '/n'),
+    position.rotateZ,
+    position.rotateY,
+    formatStageCoordinate(position.toX, BilibiliStage.width),
+    formatStageCoordinate(position.toY, BilibiliStage.height),
+    Math.round(position.moveDuration * 1000),
+    Math.round(position.moveDelay * 1000)
+  ]);
+}
+
+// Coordinates on the stage are written as fractions with a decimal point,
+// those outside it as pixels of the classic player stage
+function formatStageCoordinate(fraction, stageSize) {
+  if (fraction >= 0 && fraction <= 1) {
+    return fraction.toFixed(4);
+  }
+  return String(Math.round(fraction * stageSize));
+}
+
+// '#rrggbb' or '#rgb' to the integer Bilibili stores, white otherwise
+function colorToInt(color) {
+  const hex = parseHexColor(color);
+  return hex === null ? 0xffffff : hex;
+}
+
+function parseHexColor(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+  if (!match) {
+    return null;
+  }
+  const digits = match[1].length === 3
+    ? match[1].split('').map(digit => digit + digit).join('')
+    : match[1];
+  return parseInt(digits, 16);
+}
+
+// ASS color override tags, with a light outline for dark text
+function colorTags(color) {
+  const hex = colorToInt(color);
+  if (hex === 0xffffff) {
+    return [];
+  }
+  const r = hex >> 16;
+  const g = (hex >> 8) & 0xff;
+  const b = hex & 0xff;
+  const tags = [`\\c&H${toHexByte(b)}${toHexByte(g)}${toHexByte(r)}&`];
+  if (r * 0.299 + g * 0.587 + b * 0.114 < 48) {
+    tags.push('\\3c&HFFFFFF&');
+  }
+  return tags;
+}
+
+function toHexByte(value) {
+  return value.toString(16).toUpperCase().padStart(2, '0');
+}
+
+// ASS alpha, 0 is opaque and 255 transparent
+function assAlphaByte(opacity) {
+  return Math.round((1 - Math.min(Math.max(opacity, 0), 1)) * 255);
+}
+
+function assAlpha(opacity) {
+  return toHexByte(assAlphaByte(opacity));
+}
+
+// First of `span` adjacent fixed lanes, counted from the edge, that are all
+// free at `time`. If there are none, the ones freeing up soonest get covered.
+function pickFixedLanes(freeAt, time, span) {
+  let best = 0;
+  let bestFreeAt = Infinity;
+  for (let lane = 0; lane + span <= freeAt.length; lane++) {
+    const laneFreeAt = Math.max(...freeAt.slice(lane, lane + span));
+    if (laneFreeAt <= time) {
+      return lane;
+    }
+    if (laneFreeAt < bestFreeAt) {
+      best = lane;
+      bestFreeAt = laneFreeAt;
+    }
+  }
+  return best;
+}
+
+// H:MM:SS.cc
+function formatASSTime(seconds) {
+  const centiseconds = Math.max(Math.round(seconds * 100), 0);
+  const hours = Math.floor(centiseconds / 360000);
+  const minutes = Math.floor(centiseconds / 6000) % 60;
+  const secs = Math.floor(centiseconds / 100) % 60;
+  const cs = centiseconds % 100;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+}
+
+// Keep text from being read as override tags or line breaks
+function escapeASS(text) {
+  return text
+    .replace(/\\/g, '\\\u200b')
+    .replace(/\{/g, '\\{')
+    .replace(/\}/g, '\\}')
+    .replace(/\n/g, '\\N');
+}
+
+// Escape text for XML content and attributes, dropping characters XML forbids
+function escapeXML(text) {
+  return String(text)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Width without a renderer: full-width characters take the font size,
+// everything else half of it
+function estimateTextWidth(text, fontSize) {
+  const longest = text.split('\n').reduce((max, line) => {
+    let width = 0;
+    for (const char of line) {
+      width += char.codePointAt(0) >= 0x2e80 ? 1 : 0.5;
+    }
+    return Math.max(max, width);
+  }, 0);
+  return longest * fontSize;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Registered serializer classes by lowercase format name
+const serializerRegistry = new Map();
+
+// Register a DanmakuSerializer subclass under a format name usable in exportDanmaku()
+function registerSerializer(name, serializerClass) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Serializer name must be a non-empty string');
+  }
+  if (typeof serializerClass !== 'function' || !(serializerClass.prototype instanceof DanmakuSerializer)) {
+    throw new Error('Serializer must be a subclass of DanmakuSerializer');
+  }
+  serializerRegistry.set(name.toLowerCase(), serializerClass);
+}
+
+function getSerializer(name) {
+  return serializerRegistry.get(name.toLowerCase()) || null;
+}
+
+registerSerializer('json', JSONSerializer);
+registerSerializer('bilibilixml', BilibiliXMLSerializer);
+registerSerializer('ass', ASSSerializer);
+
+export {
+  DanmakuSerializer,
+  JSONSerializer,
+  BilibiliXMLSerializer,
+  ASSSerializer,
+  registerSerializer,
+  getSerializer,
+};
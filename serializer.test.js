@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import { getSerializer } from './serializer.js';
+import { BilibiliXMLParser, JSONParser } from './parser.js';
+import { Danmaku, DanmakuType } from './index.js';
+
+const positioned = new Danmaku(3, DanmakuType.Positioned, '#00ff00', 'u5', 'two\nlines', {
+  id: '5',
+  position: {
+    x: 0.25,
+    y: 0.5,
+    toX: 1.5,     // Off the stage, written in pixels
+    toY: -0.25,
+    alphaFrom: 1,
+    alphaTo: 0.5,
+    duration: 3,
+    rotateZ: 45,
+    rotateY: 10,
+    moveDuration: 0.5,
+    moveDelay: 0.25
+  }
+});
+
+const danmakus = [
+  new Danmaku(1.5, DanmakuType.Float, '#ff8000', 'u1', 'a < b & "c"', {
+    fontSize: 36,
+    timestamp: 1600000000,
+    pool: 1,
+    id: '1234567890123456789',
+    weight: 9
+  }),
+  new Danmaku(2, DanmakuType.Top, '#ffffff', 'u2', '顶部'),
+  new Danmaku(2.25, DanmakuType.Bottom, '#000000', 'u3', 'bottom'),
+  new Danmaku(2.5, DanmakuType.Reverse, '#123456', 'u4', 'reverse'),
+  positioned,
+];
+
+function serialize(format, items, options) {
+  const SerializerClass = getSerializer(format);
+  return new SerializerClass().serialize(items, options);
+}
+
+function tuples(items) {
+  return items.map(item => Danmaku.from(item).toTuple());
+}
+
+describe('JSONSerializer', () => {
+  it('round-trips through JSONParser', () => {
+    const json = serialize('json', danmakus);
+    const { code, data } = new JSONParser().parse(JSON.parse(json));
+    expect(code).toBe(0);
+    expect(tuples(data)).toEqual(tuples(danmakus));
+  });
+});
+
+describe('BilibiliXMLSerializer', () => {
+  it('round-trips through BilibiliXMLParser', () => {
+    const xml = serialize('bilibilixml', danmakus);
+    expect(xml).toContain('<maxlimit>5</maxlimit>');
+    expect(xml).toContain('a &lt; b &amp; &quot;c&quot;');
+
+    const { data } = new BilibiliXMLParser().parse(xml);
+    expect(tuples(data)).toEqual(tuples(danmakus));
+  });
+
+  it('writes positioned danmaku as mode 7 JSON', () => {
+    const xml = serialize('bilibilixml', [positioned]);
+    const text = /<d p="[^"]*">([^<]*)<\/d>/.exec(xml)[1].replace(/&quot;/g, '"');
+    expect(JSON.parse(text)).toEqual(['0.2500', '0.5000', '1-0.5', '3', 'two/nlines', 45, 10, '768', '-96', 500, 250]);
+  });
+
+  it('stores colors as integers, white when unreadable', () => {
+    const xml = serialize('bilibilixml', [
+      new Danmaku(0, DanmakuType.Float, '#abc', 'u', 'short'),
+      new Danmaku(0, DanmakuType.Float, 'red', 'u', 'named'),
+    ]);
+    const colors = new BilibiliXMLParser().parse(xml).data.map(item => item[2]);
+    expect(colors).toEqual(['#aabbcc', '#ffffff']);
+  });
+});
+
+describe('ASSSerializer', () => {
+  // Every danmaku 100px wide, so lanes and moves are easy to follow
+  const options = { measureText: () => 100 };
+
+  function events(ass) {
+    return ass.split('\n').filter(line => line.startsWith('Dialogue:'));
+  }
+
+  it('writes the script header for the video size', () => {
+    const ass = serialize('ass', [], { width: 1280, height: 720, fontFamily: 'Noto Sans' });
+    expect(ass).toContain('PlayResX: 1280\nPlayResY: 720');
+    expect(ass).toContain('Style: Danmaku, Noto Sans, 38, &H00FFFFFF');
+    expect(events(ass)).toEqual([]);
+  });
+
+  it('lays out scrolling danmaku in separate lanes', () => {
+    const ass = serialize('ass', [
+      new Danmaku(1.5, DanmakuType.Float, '#ff0000', 'u', 'a{b}'),
+      new Danmaku(1.5, DanmakuType.Float, '#ffffff', 'u', 'second'),
+      new Danmaku(1.5, DanmakuType.Reverse, '#ffffff', 'u', 'back'),
+    ], options);
+    expect(events(ass)).toEqual([
+      'Dialogue: 2,0:00:01.50,0:00:09.50,Danmaku,,0000,0000,0000,,{\\move(1920, 0, -100, 0)\\c&H0000FF&}a\\{b\\}',
+      'Dialogue: 2,0:00:01.50,0:00:09.50,Danmaku,,0000,0000,0000,,{\\move(1920, 46, -100, 46)}second',
+      'Dialogue: 2,0:00:01.50,0:00:09.50,Danmaku,,0000,0000,0000,,{\\move(-100, 92, 1920, 92)}back',
+    ]);
+  });
+
+  it('stacks fixed danmaku from the top and bottom edges', () => {
+    const ass = serialize('ass', [
+      new Danmaku(2, DanmakuType.Top, '#ffffff', 'u', 'big', { fontSize: 36 }),
+      new Danmaku(2, DanmakuType.Top, '#ffffff', 'u', 'next'),
+      new Danmaku(2, DanmakuType.Bottom, '#000000', 'u', 'dark'),
+    ], options);
+    expect(events(ass)).toEqual([
+      'Dialogue: 2,0:00:02.00,0:00:07.00,Danmaku,,0000,0000,0000,,{\\an8\\pos(960, 0)\\fs55}big',
+      // 'big' takes two lanes
+      'Dialogue: 2,0:00:02.00,0:00:07.00,Danmaku,,0000,0000,0000,,{\\an8\\pos(960, 92)}next',
+      'Dialogue: 2,0:00:02.00,0:00:07.00,Danmaku,,0000,0000,0000,,{\\an8\\pos(960, 1034)\\c&H000000&\\3c&HFFFFFF&}dark',
+    ]);
+  });
+
+  it('gives large scrolling and bottom danmaku as many lanes as they are tall', () => {
+    const ass = serialize('ass', [
+      new Danmaku(1, DanmakuType.Float, '#ffffff', 'u', 'big', { fontSize: 36 }),
+      new Danmaku(1, DanmakuType.Float, '#ffffff', 'u', 'next'),
+      new Danmaku(1, DanmakuType.Bottom, '#ffffff', 'u', 'low', { fontSize: 36 }),
+    ], options);
+    expect(events(ass)).toEqual([
+      'Dialogue: 2,0:00:01.00,0:00:09.00,Danmaku,,0000,0000,0000,,{\\move(1920, 0, -100, 0)\\fs55}big',
+      'Dialogue: 2,0:00:01.00,0:00:09.00,Danmaku,,0000,0000,0000,,{\\move(1920, 92, -100, 92)}next',
+      'Dialogue: 2,0:00:01.00,0:00:06.00,Danmaku,,0000,0000,0000,,{\\an8\\pos(960, 988)\\fs55}low',
+    ]);
+  });
+
+  it('moves, fades and rotates positioned danmaku', () => {
+    const ass = serialize('ass', [positioned], options);
+    expect(events(ass)).toEqual([
+      'Dialogue: 2,0:00:03.00,0:00:06.00,Danmaku,,0000,0000,0000,,' +
+      '{\\move(480, 540, 2880, -270, 250, 750)\\fade(0, 128, 128, 0, 3000, 3000, 3000)\\c&H00FF00&\\frz-45\\fry10}two\\Nlines',
+    ]);
+  });
+
+  it('skips positioned danmaku without parameters', () => {
+    const ass = serialize('ass', [new Danmaku(1, DanmakuType.Positioned, '#ffffff', 'u', 'bare')], options);
+    expect(events(ass)).toEqual([]);
+  });
+
+  it('rejects an empty video size', () => {
+    expect(() => serialize('ass', [], { width: 0 })).toThrow('ASS width and height must be positive');
+  });
+});
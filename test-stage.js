@@ -0,0 +1,103 @@
+import { vi } from 'vitest';
+import CreepyBird, { ManualClock } from './index.js';
+
+// Test helpers for CreepyBird on a jsdom stage. jsdom has no layout, Web
+// Animations or observers, so those are stubbed: text is 10px per character
+// and animations follow performance.now(), which the fake timers drive.
+
+// Web Animation stand-in running on performance.now()
+class FakeAnimation {
+  constructor(duration) {
+    this._duration = duration;
+    this._time = 0;                  // currentTime when last started or paused
+    this._startedAt = performance.now();
+    this._paused = false;
+    this.playbackRate = 1;
+  }
+
+  get currentTime() {
+    if (this._paused) {
+      return this._time;
+    }
+    return this._time + (performance.now() - this._startedAt) * this.playbackRate;
+  }
+
+  set currentTime(time) {
+    this._time = time;
+    this._startedAt = performance.now();
+  }
+
+  get playState() {
+    if (this.currentTime >= this._duration) {
+      return 'finished';
+    }
+    return this._paused ? 'paused' : 'running';
+  }
+
+  pause() {
+    this._time = this.currentTime;
+    this._paused = true;
+  }
+
+  play() {
+    this._startedAt = performance.now();
+    this._paused = false;
+  }
+
+  cancel() {
+    this.pause();
+  }
+}
+
+class NoopObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+}
+
+// Fake timers including animation frames and performance.now(), so
+// vi.advanceTimersByTime() plays a ManualClock frame by frame
+function useStageTimers() {
+  vi.useFakeTimers({
+    toFake: ['setTimeout', 'clearTimeout', 'requestAnimationFrame', 'cancelAnimationFrame', 'performance', 'Date']
+  });
+}
+
+// Attach a CreepyBird with `options` to a `width`x`height` stage at `left`,
+// `top` in the viewport, following a paused ManualClock. Undo with
+// vi.restoreAllMocks() and vi.unstubAllGlobals().
+function createStage(options = {}, { width = 640, height = 360, left = 0, top = 0 } = {}) {
+  vi.stubGlobal('ResizeObserver', NoopObserver);
+  vi.stubGlobal('IntersectionObserver', NoopObserver);
+  Element.prototype.animate = function (keyframes, timing) {
+    return new FakeAnimation(timing.duration);
+  };
+  vi.spyOn(HTMLElement.prototype, 'offsetWidth', 'get').mockImplementation(function () {
+    return this.textContent.length * 10;
+  });
+
+  const container = document.createElement('div');
+  Object.defineProperty(container, 'clientWidth', { value: width });
+  Object.defineProperty(container, 'clientHeight', { value: height });
+  container.getBoundingClientRect = () => ({ left, top, right: left + width, bottom: top + height, width, height });
+  document.body.appendChild(container);
+
+  const clock = new ManualClock();
+  const creepyBird = new CreepyBird(options);
+  creepyBird.attachToClock(clock, container);
+  return { creepyBird, clock, container };
+}
+
+// Record the `danmaku:show` and `danmaku:end` events of a CreepyBird
+function recordDanmakuEvents(creepyBird) {
+  const events = { shown: [], ended: [] };
+  creepyBird.on('danmaku:show', ({ danmaku }) => events.shown.push(danmaku.text));
+  creepyBird.on('danmaku:end', ({ danmaku }) => events.ended.push(danmaku.text));
+  return events;
+}
+
+export {
+  useStageTimers,
+  createStage,
+  recordDanmakuEvents,
+};
@@ -2,6 +2,9 @@ import { defineConfig } from 'vite';
 import { resolve } from 'path';
 
 export default defineConfig({
+  // Relative, so assets like the parse worker resolve next to the bundle
+  // rather than at the root of whatever site serves it
+  base: './',
   build: {
     lib: {
       entry: resolve(__dirname, 'index.js'),